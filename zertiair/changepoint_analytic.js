@@ -0,0 +1,4 @@
+import { runPreset } from "./lib/runner.js";
+import "./modules/changepoints.js";
+
+runPreset("changepointAnalytics");
@@ -0,0 +1,4 @@
+import { runPreset } from "./lib/runner.js";
+import "./modules/correlation.js";
+
+runPreset("correlationAnalytics");
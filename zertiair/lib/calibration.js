@@ -0,0 +1,178 @@
+import path from "path";
+import { INPUT_DIR, loadFile } from "./loader.js";
+import { validatePoints, REFERENCE_SCHEMA } from "./validation.js";
+import { bySensorSorted, resample } from "./series.js";
+import { percentile, linearFit } from "./stats.js";
+
+/* =========================
+   Reference series
+========================= */
+
+// Reads and validates the reference file like the other inputs. Throws when
+// the file is missing or cannot be parsed.
+function loadReferenceFile(params) {
+    const file = params.calibrationReferenceFile;
+    const loaded = loadFile(path.join(INPUT_DIR, file));
+    const invalid = loaded.invalid.map(row => ({ file, row }));
+    const { points, report } = validatePoints(loaded.points, invalid, params, REFERENCE_SCHEMA);
+    const { schema, ...validation } = report;
+    return { points, validation: { ...validation, unparseableRows: loaded.rejected - invalid.length } };
+}
+
+// region -> reference readings sorted by ts. Sources: a reference sensorId
+// (string: used for its own region; object: region -> sensorId) and/or the
+// reference file's rows, which apply to their `region`, or to every region
+// when they have none.
+function referenceSeries(points, params, filePoints) {
+    const refs = {};
+    const add = (region, p) => (refs[region] ??= []).push(p);
+    const regions = [...new Set(points.map(p => p.region))];
+
+    const ref = params.calibrationReference;
+    if (typeof ref === "string") {
+        points.filter(p => String(p.sensorId) === ref).forEach(p => add(p.region, p));
+    } else if (ref) {
+        const byRegion = new Map(Object.entries(ref).map(([region, id]) => [region, String(id)]));
+        points.filter(p => byRegion.get(p.region) === String(p.sensorId)).forEach(p => add(p.region, p));
+    }
+
+    filePoints.forEach(p => {
+        if (p.region !== undefined && p.region !== null) add(p.region, p);
+        else regions.forEach(r => add(r, p));
+    });
+
+    Object.values(refs).forEach(ps => ps.sort((a, b) => a.ts - b.ts));
+    return refs;
+}
+
+/* =========================
+   Fitting
+========================= */
+
+// Pairs sensor and reference means over the same time windows
+function overlapPairs(ps, ref, windowMs) {
+    const refBuckets = new Map(
+        resample(ref, windowMs).filter(b => b.count).map(b => [b.t, b.value])
+    );
+    return resample(ps, windowMs)
+        .filter(b => b.count && refBuckets.has(b.t))
+        .map(b => ({ raw: b.value, ref: refBuckets.get(b.t) }));
+}
+
+// Linear: one segment. Piecewise: one linear fit per raw-value segment, the
+// segment edges being quantiles of the raw values.
+function fitCorrection(pairs, params) {
+    const segments = params.calibrationModel === "piecewise" ? params.calibrationSegments : 1;
+    const raws = pairs.map(p => p.raw);
+    const edges = Array.from({ length: segments - 1 }, (_, i) => percentile(raws, (i + 1) / segments));
+
+    const pieces = [];
+    for (let i = 0; i < segments; i++) {
+        const lo = i ? edges[i - 1] : -Infinity;
+        const hi = i < edges.length ? edges[i] : Infinity;
+        const inSeg = pairs.filter(p => p.raw >= lo && (p.raw < hi || i === segments - 1));
+        const fit = linearFit(inSeg.map(p => p.raw), inSeg.map(p => p.ref));
+        if (!fit) return null;
+        pieces.push({ from: Number.isFinite(lo) ? lo : null, to: Number.isFinite(hi) ? hi : null, ...fit, pairs: inSeg.length });
+    }
+    return pieces;
+}
+
+const applyPieces = (pieces, v) => {
+    const piece = pieces.find(s => s.to === null || v < s.to);
+    return piece.intercept + piece.slope * v;
+};
+
+const rmse = (pairs, f) => Math.sqrt(pairs.reduce((s, p) => s + (f(p.raw) - p.ref) ** 2, 0) / pairs.length);
+const mae = (pairs, f) => pairs.reduce((s, p) => s + Math.abs(f(p.raw) - p.ref), 0) / pairs.length;
+
+/* =========================
+   Calibration stage
+========================= */
+
+// Runs before filtering and every analytics module. Returns the points with
+// co2ppm corrected (original kept in co2ppmRaw) and the per-sensor report.
+export function calibratePoints(points, params) {
+    if (!params.calibrationReference && !params.calibrationReferenceFile) {
+        return { points, report: { enabled: false } };
+    }
+
+    // A broken reference file skips calibration instead of failing the job
+    let referenceFile = null;
+    if (params.calibrationReferenceFile) {
+        try {
+            referenceFile = loadReferenceFile(params);
+        } catch (e) {
+            console.log(`⚠️  Calibration skipped, reference file ${params.calibrationReferenceFile}: ${e.message}`);
+            return {
+                points,
+                report: {
+                    enabled: false,
+                    status: "reference-file-error",
+                    referenceFile: params.calibrationReferenceFile,
+                    error: e.message
+                }
+            };
+        }
+    }
+
+    const refs = referenceSeries(points, params, referenceFile?.points ?? []);
+    const refSensors = new Set(
+        Object.values(refs).flat().filter(p => p.sensorId !== undefined).map(p => String(p.sensorId))
+    );
+    const windowMs = params.calibrationWindowMinutes * 60000;
+
+    const corrections = new Map();
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const region = ps[0].region;
+        if (refSensors.has(sensorId)) {
+            sensors.push({ sensorId, region, status: "reference" });
+            return;
+        }
+        const ref = refs[region];
+        if (!ref) {
+            sensors.push({ sensorId, region, status: "no-reference" });
+            return;
+        }
+
+        const pairs = overlapPairs(ps, ref, windowMs);
+        const pieces = pairs.length >= params.calibrationMinPairs ? fitCorrection(pairs, params) : null;
+        if (!pieces) {
+            sensors.push({ sensorId, region, status: "insufficient-overlap", pairs: pairs.length });
+            return;
+        }
+
+        corrections.set(sensorId, pieces);
+        sensors.push({
+            sensorId,
+            region,
+            status: "calibrated",
+            model: params.calibrationModel,
+            pairs: pairs.length,
+            coefficients: pieces,
+            rmseBefore: rmse(pairs, v => v),
+            rmseAfter: rmse(pairs, v => applyPieces(pieces, v)),
+            maeAfter: mae(pairs, v => applyPieces(pieces, v))
+        });
+    });
+
+    const corrected = points.map(p => {
+        const pieces = corrections.get(String(p.sensorId));
+        if (!pieces || !Number.isFinite(p.co2ppm)) return p;
+        return { ...p, co2ppm: applyPieces(pieces, p.co2ppm), co2ppmRaw: p.co2ppm };
+    });
+
+    console.log("🎯 Calibrated", corrections.size, "sensors against reference data");
+    return {
+        points: corrected,
+        report: {
+            enabled: true,
+            reference: params.calibrationReference,
+            referenceFile: params.calibrationReferenceFile,
+            ...(referenceFile && { referenceValidation: referenceFile.validation }),
+            windowMinutes: params.calibrationWindowMinutes,
+            sensors
+        }
+    };
+}
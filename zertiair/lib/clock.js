@@ -0,0 +1,25 @@
+import { isDayHour, timezoneOf } from "./params.js";
+import { localTime, isSunUp } from "./time.js";
+
+/* =========================
+   Per-region day/night clock
+========================= */
+
+// How a region splits day from night: sunrise/sunset when asked for and the
+// region has coordinates, otherwise the local-hour window.
+export const regionClock = (params, region) => {
+    const info = params.regionInfo[region] ?? {};
+    const timezone = timezoneOf(params, region);
+    if (params.dayNightMode === "sun" && info.latitude !== undefined) {
+        return {
+            timezone,
+            mode: "sun",
+            isDay: p => isSunUp(p.ts, info.latitude, info.longitude)
+        };
+    }
+    return {
+        timezone,
+        mode: "hours",
+        isDay: p => isDayHour(localTime(p.ts, timezone).hour, params)
+    };
+};
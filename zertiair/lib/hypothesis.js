@@ -0,0 +1,266 @@
+import { avg, ranks } from "./stats.js";
+
+/* =========================
+   Distributions
+========================= */
+
+// Lanczos approximation (g = 7)
+const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+export function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = LANCZOS[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the incomplete beta (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+    const EPS = 1e-14, TINY = 1e-300;
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < EPS) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+export function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(a, b, x) / a
+        : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Regularized lower incomplete gamma P(a, x)
+export function lowerGamma(a, x) {
+    if (x <= 0) return 0;
+    const lg = logGamma(a);
+    if (x < a + 1) {
+        let sum = 1 / a, term = sum;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return sum * Math.exp(-x + a * Math.log(x) - lg);
+    }
+    // Continued fraction for Q, then P = 1 - Q
+    let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < 1e-14) break;
+    }
+    return 1 - Math.exp(-x + a * Math.log(x) - lg) * h;
+}
+
+// Two-sided p-value of Student's t with df degrees of freedom
+export const tTwoSidedP = (t, df) => incompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+export const chiSquareUpperP = (x, df) => 1 - lowerGamma(df / 2, x / 2);
+
+// Normal CDF via erfc (Numerical Recipes erfcc, |error| < 1.2e-7)
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+// Inverse normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+export function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = q => {
+        const r = Math.sqrt(-2 * Math.log(q));
+        return (((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) /
+            ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+    };
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p < 0.02425) return tail(p);
+    if (p > 1 - 0.02425) return -tail(1 - p);
+    const q = p - 0.5, r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/* =========================
+   Tests
+========================= */
+
+const variance = (a, m = avg(a)) => a.reduce((s, v) => s + (v - m) ** 2, 0) / (a.length - 1);
+
+export function welchTTest(a, b) {
+    const ma = avg(a), mb = avg(b);
+    const va = variance(a, ma) / a.length, vb = variance(b, mb) / b.length;
+    const se = Math.sqrt(va + vb);
+    if (!se) return { t: 0, df: a.length + b.length - 2, p: 1 };
+    const t = (ma - mb) / se;
+    const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+    return { t, df, p: tTwoSidedP(t, df) };
+}
+
+// Cohen's d with the pooled standard deviation
+export function cohensD(a, b) {
+    const na = a.length, nb = b.length;
+    const pooled = Math.sqrt(((na - 1) * variance(a) + (nb - 1) * variance(b)) / (na + nb - 2));
+    return pooled ? (avg(a) - avg(b)) / pooled : 0;
+}
+
+// Tie groups sizes of the pooled sample, for the rank-test corrections
+const tieTerm = vals => {
+    const counts = new Map();
+    vals.forEach(v => counts.set(v, (counts.get(v) ?? 0) + 1));
+    let sum = 0;
+    counts.forEach(t => { sum += t ** 3 - t; });
+    return sum;
+};
+
+// Normal approximation with tie and continuity correction. rankBiserial > 0
+// means a tends to be larger than b.
+export function mannWhitneyU(a, b) {
+    const na = a.length, nb = b.length, n = na + nb;
+    const pooled = a.concat(b);
+    const r = ranks(pooled);
+    let rankSumA = 0;
+    for (let i = 0; i < na; i++) rankSumA += r[i];
+
+    const u = rankSumA - na * (na + 1) / 2;
+    const mu = na * nb / 2;
+    const sigma = Math.sqrt(na * nb / 12 * ((n + 1) - tieTerm(pooled) / (n * (n - 1))));
+    const z = sigma ? (u - mu - Math.sign(u - mu) * 0.5) / sigma : 0;
+    return {
+        u,
+        z,
+        p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))),
+        rankBiserial: 2 * u / (na * nb) - 1
+    };
+}
+
+// Tie-corrected H; epsilonSquared = H / (n - 1) as effect size
+export function kruskalWallis(groups) {
+    const pooled = groups.flat();
+    const n = pooled.length, k = groups.length;
+    const r = ranks(pooled);
+
+    let h = 0, offset = 0;
+    groups.forEach(g => {
+        let sum = 0;
+        for (let i = 0; i < g.length; i++) sum += r[offset + i];
+        h += sum * sum / g.length;
+        offset += g.length;
+    });
+    h = 12 / (n * (n + 1)) * h - 3 * (n + 1);
+    const correction = 1 - tieTerm(pooled) / (n ** 3 - n);
+    if (correction > 0) h /= correction;
+
+    return { h, df: k - 1, p: chiSquareUpperP(h, k - 1), epsilonSquared: h / (n - 1) };
+}
+
+/* =========================
+   Multiple comparisons
+========================= */
+
+export function adjustPValues(ps, method) {
+    const m = ps.length;
+    const order = ps.map((p, i) => [p, i]).sort((a, b) => a[0] - b[0]);
+    const adjusted = new Array(m);
+
+    if (method === "bonferroni") return ps.map(p => Math.min(1, p * m));
+
+    if (method === "holm") {
+        let running = 0;
+        order.forEach(([p, i], k) => {
+            running = Math.max(running, Math.min(1, (m - k) * p));
+            adjusted[i] = running;
+        });
+        return adjusted;
+    }
+
+    // Benjamini-Hochberg
+    let running = 1;
+    for (let k = m - 1; k >= 0; k--) {
+        const [p, i] = order[k];
+        running = Math.min(running, p * m / (k + 1));
+        adjusted[i] = Math.min(1, running);
+    }
+    return adjusted;
+}
+
+/* =========================
+   Bootstrap
+========================= */
+
+// Small seeded PRNG so bootstrap intervals are reproducible between runs
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Percentile interval for the median. Each resample is drawn as counts over
+// the sorted values, so its median is found in O(n) without re-sorting.
+export function bootstrapMedianCI(vals, { samples, confidence, random }) {
+    const sorted = [...vals].sort((a, b) => a - b);
+    const n = sorted.length;
+    const counts = new Uint32Array(n);
+    const medians = [];
+
+    for (let s = 0; s < samples; s++) {
+        counts.fill(0);
+        for (let i = 0; i < n; i++) counts[Math.floor(random() * n)]++;
+        let seen = 0, lo = null;
+        for (let i = 0; i < n; i++) {
+            seen += counts[i];
+            if (lo === null && seen >= Math.ceil(n / 2)) lo = sorted[i];
+            if (seen >= Math.floor(n / 2) + 1) {
+                medians.push(n % 2 ? sorted[i] : (lo + sorted[i]) / 2);
+                break;
+            }
+        }
+    }
+
+    medians.sort((a, b) => a - b);
+    const alpha = (1 - confidence) / 2;
+    const at = q => medians[Math.min(medians.length - 1, Math.max(0, Math.round(q * (medians.length - 1))))];
+    return { low: at(alpha), high: at(1 - alpha) };
+}
@@ -0,0 +1,280 @@
+import fs from "fs";
+import path from "path";
+import { readHead, forEachLine, forEachJsonArrayItem } from "./stream.js";
+
+export const INPUT_DIR = "/data/inputs";
+
+// Files Ocean C2D mounts next to the datasets; they never contain points.
+const SIDECAR_FILES = new Set([
+    "algoCustomData.json",
+    "algoCustomParameters.json"
+]);
+
+/* =========================
+   Timestamps
+========================= */
+
+const TZ_SUFFIX = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Sensor exports use "YYYY-MM-DD HH:mm:ss" in UTC without a zone designator.
+// Returns null instead of an Invalid Date so callers can drop the point.
+export const parseDate = d => {
+    if (d instanceof Date) return isNaN(d) ? null : new Date(d);
+    if (typeof d === "number") {
+        if (!Number.isFinite(d)) return null;
+        return new Date(d < 1e11 ? d * 1000 : d);
+    }
+    if (typeof d !== "string" || !d.trim()) return null;
+
+    const s = d.trim();
+    // Compact dates ("20250101") before epoch values; an impossible one
+    // (month 13) is not a date at all
+    const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(s);
+    if (compact) {
+        const [, y, m, day] = compact.map(Number);
+        const date = new Date(Date.UTC(y, m - 1, day));
+        return date.getUTCMonth() === m - 1 && date.getUTCDate() === day ? date : null;
+    }
+    if (/^\d+(\.\d+)?$/.test(s)) return parseDate(Number(s));
+
+    const iso = s.replace(" ", "T");
+    const date = new Date(iso.includes("T") && !TZ_SUFFIX.test(iso) ? iso + "Z" : iso);
+    return isNaN(date) ? null : date;
+};
+
+/* =========================
+   File discovery
+========================= */
+
+export function discoverInputFiles(dir = INPUT_DIR) {
+    const files = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith(".")) return;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...discoverInputFiles(full));
+        else if (entry.isFile() && !SIDECAR_FILES.has(entry.name)) files.push(full);
+    });
+    return files.sort();
+}
+
+/* =========================
+   Format parsers
+========================= */
+
+const detectFormat = (file, head) => {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === ".csv") return "csv";
+    if (ext === ".ndjson" || ext === ".jsonl") return "ndjson";
+    if (ext === ".json") return "json";
+
+    // Ocean mounts datasets without an extension (e.g. <did>/0), so sniff
+    const first = head.trimStart()[0];
+    if (first === "[") return "json";
+    if (first === "{") return "ndjson";
+    return "csv";
+};
+
+const parseJson = raw => {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (e) {
+        // A .json export written one object per line is still usable
+        const lines = raw.trimStart().startsWith("{") ? parseNdjsonSafe(raw) : null;
+        if (lines?.records.length > 1) return lines;
+        throw e;
+    }
+    if (Array.isArray(data)) return { records: data, rejected: 0 };
+    if (Array.isArray(data?.data)) return { records: data.data, rejected: 0 };
+    if (Array.isArray(data?.points)) return { records: data.points, rejected: 0 };
+    if (data && typeof data === "object" && data.sensorId !== undefined) {
+        return { records: [data], rejected: 0 };
+    }
+    throw new Error("expected a JSON array of points");
+};
+
+const parseNdjson = raw => {
+    const records = [];
+    let rejected = 0;
+    raw.split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            rejected++;
+        }
+    });
+    if (!records.length && rejected) throw new Error("no parseable NDJSON lines");
+    return { records, rejected };
+};
+
+const parseNdjsonSafe = raw => {
+    try {
+        return parseNdjson(raw);
+    } catch {
+        return null;
+    }
+};
+
+const splitCsvLine = (line, sep) => {
+    const out = [];
+    let cur = "", quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cur += c;
+        } else if (c === '"') quoted = true;
+        else if (c === sep) { out.push(cur); cur = ""; }
+        else cur += c;
+    }
+    out.push(cur);
+    return out;
+};
+
+// Identifiers and timestamps stay text ("007" must match the JSON exports);
+// parseDate reads numeric epoch strings itself
+const TEXT_COLUMNS = new Set(["sensorId", "region", "createdAt", "timestamp"]);
+
+const csvValue = (v, column) => {
+    const s = v.trim();
+    if (s === "") return null;
+    if (TEXT_COLUMNS.has(column)) return s;
+    return /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(s) ? Number(s) : s;
+};
+
+/* =========================
+   Streaming readers
+========================= */
+
+// Each reader passes records to onRecord as it parses them and returns the
+// number of rows it could not parse, so a file is never held whole in memory.
+
+// Top-level arrays are streamed element by element; wrapped ({ "data": [...] })
+// and single-object exports are small in practice and parsed whole.
+const readJson = (file, head, onRecord) => {
+    if (!head.trimStart().startsWith("[")) {
+        const { records, rejected } = parseJson(fs.readFileSync(file, "utf8"));
+        records.forEach(onRecord);
+        return rejected;
+    }
+    let rejected = 0;
+    const primitives = forEachJsonArrayItem(file, text => {
+        try {
+            onRecord(JSON.parse(text));
+        } catch {
+            rejected++;
+        }
+    });
+    return rejected + primitives;
+};
+
+const readNdjson = (file, head, onRecord) => {
+    let records = 0, rejected = 0;
+    forEachLine(file, line => {
+        if (!line.trim()) return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            rejected++;
+            return;
+        }
+        records++;
+        onRecord(record);
+    });
+    if (!records && rejected) throw new Error("no parseable NDJSON lines");
+    return rejected;
+};
+
+const readCsv = (file, head, onRecord) => {
+    let columns = null, sep = ",", rows = 0, rejected = 0;
+    forEachLine(file, line => {
+        if (!line.trim()) return;
+        if (!columns) {
+            const header = line.replace(/^\uFEFF/, "");
+            sep = [";", "\t", ","].reduce((best, s) =>
+                header.split(s).length > header.split(best).length ? s : best, ",");
+            columns = splitCsvLine(header, sep).map(c => c.trim());
+            if (columns.length < 2) throw new Error("CSV header has a single column");
+            return;
+        }
+        rows++;
+        const cells = splitCsvLine(line, sep);
+        if (cells.length !== columns.length) {
+            rejected++;
+            return;
+        }
+        const row = {};
+        columns.forEach((c, i) => { row[c] = csvValue(cells[i], c); });
+        onRecord(row);
+    });
+    if (!rows) throw new Error("CSV has no data rows");
+    return rejected;
+};
+
+const READERS = { json: readJson, ndjson: readNdjson, csv: readCsv };
+
+/* =========================
+   Load & normalize data
+========================= */
+
+// Streams a file's rows as points ({ ...row, ts }); rows without a parseable
+// timestamp go to onInvalid. Returns the format and the dropped row count.
+export function forEachPoint(file, onPoint, onInvalid = () => {}) {
+    const head = readHead(file);
+    const format = detectFormat(file, head);
+    let invalid = 0;
+    let notRows = 0;
+    const rejected = READERS[format](file, head, r => {
+        // Numbers, strings, null or nested arrays are not rows at all
+        if (!r || typeof r !== "object" || Array.isArray(r)) {
+            notRows++;
+            return;
+        }
+        const ts = parseDate(r.createdAt ?? r.timestamp);
+        if (ts) onPoint({ ...r, ts });
+        else {
+            invalid++;
+            onInvalid(r);
+        }
+    });
+    return { format, rejected: rejected + notRows + invalid };
+}
+
+export function loadFile(file) {
+    const points = [];
+    const invalid = [];
+    const { format, rejected } = forEachPoint(file, p => points.push(p), r => invalid.push(r));
+    return { format, points, invalid, rejected };
+}
+
+// Loads every dataset under dir. A file that cannot be read or parsed is
+// reported in `files` and skipped instead of failing the whole job; rows
+// without a parseable timestamp are returned in `invalid`. `exclude` lists
+// paths relative to dir that are read separately (e.g. reference data).
+export function loadInputs(dir = INPUT_DIR, exclude = []) {
+    const points = [];
+    const invalid = [];
+    const skip = new Set(exclude.map(f => path.normalize(f)));
+    const files = discoverInputFiles(dir)
+        .filter(full => !skip.has(path.relative(dir, full)))
+        .map(full => {
+            const file = path.relative(dir, full);
+            try {
+                const loaded = loadFile(full);
+                for (const p of loaded.points) points.push(p);
+                for (const row of loaded.invalid) invalid.push({ file, row });
+                return { file, format: loaded.format, points: loaded.points.length, rejected: loaded.rejected };
+            } catch (e) {
+                return { file, error: e.message };
+            }
+        });
+    return { points, files, invalid };
+}
+
+export const logLoadIssues = files => files.forEach(f => {
+    if (f.error) console.log(`⚠️  Skipped ${f.file}: ${f.error}`);
+    else if (f.rejected) console.log(`⚠️  ${f.file}: ${f.rejected} unparseable row(s) dropped`);
+});
@@ -0,0 +1,62 @@
+/* =========================
+   Metrics (numeric reading fields)
+========================= */
+
+export const DEFAULT_METRIC = "co2ppm";
+
+// Numeric fields that describe the sensor or its position, not the air
+const NON_METRICS = new Set([
+    "sensorId", "region", "createdAt", "timestamp", "ts", "latitude", "longitude", "lat", "lon", "lng",
+    "sensorBatteryPercentage", "co2ppmRaw"
+]);
+
+// Smallest meaningful change per metric, used as a floor for rolling spreads
+// (roughly the sensor resolution); unknown metrics get a tiny floor.
+const RESOLUTION = {
+    co2ppm: 1,
+    temperature: 0.1,
+    humidity: 0.5,
+    pm25: 1,
+    pm10: 1,
+    tvoc: 1
+};
+
+export const metricResolution = field => RESOLUTION[field] ?? 1e-6;
+
+// Fields with a finite number in at least one reading, sorted by name
+export function discoverMetrics(points) {
+    const found = new Set();
+    points.forEach(p => {
+        Object.keys(p).forEach(k => {
+            if (!NON_METRICS.has(k) && !found.has(k) && Number.isFinite(p[k])) found.add(k);
+        });
+    });
+    return [...found].sort();
+}
+
+// Fields of one reading to aggregate: the configured metrics, every numeric
+// metric field for "all", co2ppm when unset
+export const metricsOf = (p, params) => {
+    if (params.metrics === "all") return Object.keys(p).filter(k => !NON_METRICS.has(k) && Number.isFinite(p[k]));
+    return (params.metrics ?? [DEFAULT_METRIC]).filter(k => Number.isFinite(p[k]));
+};
+
+// Runs analyze(field, points with that field) once per configured metric.
+// Without a `metrics` parameter the co2ppm result is returned as is, so
+// existing consumers keep their output shape; otherwise results are keyed by
+// metric under `byMetric`.
+export function perMetric(points, params, analyze) {
+    if (!params.metrics) return analyze(DEFAULT_METRIC, points);
+
+    const metrics = params.metrics === "all" ? discoverMetrics(points) : params.metrics;
+    const byMetric = {};
+    metrics.forEach(field => {
+        const ps = points.filter(p => Number.isFinite(p[field]));
+        if (!ps.length) {
+            console.log(`⚠️  Metric "${field}" has no numeric readings, skipped`);
+            return;
+        }
+        byMetric[field] = analyze(field, ps);
+    });
+    return { metrics: Object.keys(byMetric), byMetric };
+}
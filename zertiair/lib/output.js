@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const OUTPUT_DIR = "/data/outputs";
+
+/* =========================
+   Canonical form
+========================= */
+
+// Fields arrays of records are ordered by; GeoJSON features use their properties
+const ORDER_KEYS = ["region", "sensorId", "a", "b", "metric", "t", "timestamp", "start", "at"];
+
+const identityOf = item => item.properties ?? item;
+
+export const isRecord = v => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Plain code-unit comparison, so the order does not depend on the locale
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    return String(a) < String(b) ? -1 : 1;
+};
+
+const compareRecords = (a, b) => {
+    const x = identityOf(a), y = identityOf(b);
+    for (const k of ORDER_KEYS) {
+        const c = compareValues(x[k], y[k]);
+        if (c) return c;
+    }
+    return 0;
+};
+
+// Arrays whose order is the result (rankings); canonicalize keeps them as is
+const RANKED = new WeakSet();
+
+// Marks a ranked array, e.g. sensors worst-first; returns it for chaining.
+// Ranked arrays must already be ordered deterministically (ties in id order).
+export const ranked = items => {
+    RANKED.add(items);
+    return items;
+};
+
+const roundTo = (v, decimals) => {
+    if (!Number.isFinite(v) || decimals === null) return v;
+    const r = Number(v.toFixed(decimals));
+    return r === 0 ? 0 : r;
+};
+
+// Sorted object keys, numbers rounded to `decimals` (null keeps full precision)
+// and arrays of records ordered by region / sensorId / time. Arrays of plain
+// values (cutoffs, coordinates, profiles) and ranked() arrays keep their
+// order since it carries meaning.
+export function canonicalize(value, decimals = null) {
+    if (typeof value === "number") return roundTo(value, decimals);
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) {
+        const items = value.map(v => canonicalize(v, decimals));
+        const sortable = items.length > 1 && !RANKED.has(value) && items.every(isRecord) &&
+            items.some(item => ORDER_KEYS.some(k => identityOf(item)[k] !== undefined));
+        return sortable ? items.sort(compareRecords) : items;
+    }
+    if (isRecord(value)) {
+        return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonicalize(value[k], decimals)]));
+    }
+    return value;
+}
+
+/* =========================
+   Writing
+========================= */
+
+// Writes a file under /data/outputs; objects are written as indented JSON.
+// With params.canonicalOutput objects are canonicalized first and a
+// `<name>.sha256` file (sha256sum format) records the hash of what was written,
+// text included.
+export function writeOutput(name, content, params = {}) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    const file = path.join(OUTPUT_DIR, name);
+    const canonical = params.canonicalOutput;
+    const text = typeof content === "string"
+        ? content
+        : JSON.stringify(canonical ? canonicalize(content, params.outputDecimals) : content, null, 2);
+    fs.writeFileSync(file, text);
+
+    if (canonical) {
+        const hash = crypto.createHash("sha256").update(text).digest("hex");
+        fs.writeFileSync(`${file}.sha256`, `${hash}  ${name}\n`);
+        console.log(`🔏 ${name} sha256 ${hash}`);
+    }
+    return file;
+}
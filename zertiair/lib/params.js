@@ -0,0 +1,526 @@
+import fs from "fs";
+import path from "path";
+import { INPUT_DIR, parseDate } from "./loader.js";
+import { BUCKETS, AGGREGATIONS, PERIODS } from "./series.js";
+import { isValidTimezone, DAY_MS } from "./time.js";
+
+const PARAMS_FILE = path.join(INPUT_DIR, "algoCustomParameters.json");
+const CUSTOM_DATA_FILE = path.join(INPUT_DIR, "algoCustomData.json");
+
+// Keys read from algoCustomParameters.json (snake_case aliases accepted)
+export const DEFAULT_PARAMS = {
+    dateFrom: null,                     // inclusive, ISO or "YYYY-MM-DD HH:mm:ss" UTC
+    dateTo: null,                       // inclusive; a bare date includes that whole day
+    regions: [],                        // empty = all regions
+    sensors: [],                        // empty = all sensorIds
+    anomalyPercentiles: [0.01, 0.99],   // advancedAnomalies low/high cutoffs
+    regionPercentiles: [0.05, 0.95],    // regionalAnalytics reported percentiles
+    dayStartHour: 6,                    // temporalAnalytics day window, local hours
+    dayEndHour: 18,
+    dayNightMode: "hours",              // "hours" (window above) or "sun" (sunrise/sunset)
+    timezone: "UTC",                    // IANA zone for regions without their own
+    regionInfo: {},                     // region -> { timezone, latitude, longitude }
+    weekendDays: [6, 0],                // local weekdays (0 = Sunday) counted as weekend
+    anomalyMethod: "mad",               // per-sensor rolling detector: "mad" or "zscore"
+    anomalyWindow: 24,                  // trailing readings used for the expected value
+    anomalyThreshold: null,             // |score| cutoff, null = 3.5 (mad) or 3 (zscore)
+    maxAnomalies: 1000,                 // cap on individual readings listed
+    episodeMaxGapMinutes: 15,           // anomalies closer than this merge into one episode
+    exposureBands: [800, 1000, 1400],   // co2ppm band edges for exposureAnalytics
+    exposureMaxIntervalMinutes: 60,     // longest interval one reading may stand for
+    exposureTopN: 5,                    // worst hours / days listed per sensor and region
+    resampleBucket: "hourly",           // 1min, 5min, 15min, 30min, hourly or daily
+    resampleAggregation: "mean",        // mean, median, min, max, sum or last
+    gapFactor: 2,                       // a gap is a spacing above gapFactor x reporting interval
+    includeSeries: true,                // include the resampled series in the output
+    driftReferencePpm: 420,             // outdoor background the night baseline should approach
+    driftTolerancePpm: 50,              // allowed baseline movement / offset before flagging
+    driftBaselinePercentile: 0.05,      // nightly baseline = this percentile of night readings
+    driftMinNights: 3,                  // nights needed before fitting a trend
+    calibrationReference: null,         // reference sensorId, or { region: sensorId }
+    calibrationReferenceFile: null,     // reference readings file under /data/inputs
+    calibrationModel: "linear",         // "linear" or "piecewise"
+    calibrationSegments: 3,             // piecewise segments (raw-value quantiles)
+    calibrationWindowMinutes: 15,       // window used to pair sensor and reference readings
+    calibrationMinPairs: 10,            // overlapping windows needed to fit a sensor
+    batteryLowThreshold: 20,            // battery % that triggers maintenance
+    batteryRechargeJump: 10,            // rise in battery % read as recharge / replacement
+    plausibleRange: [300, 10000],       // co2ppm outside this range is physically implausible
+    stuckMinutes: 120,                  // identical readings for this long count as stuck
+    healthBatteryHorizonDays: 30,       // forecast horizon that starts costing battery score
+    healthWeights: {                    // relative weight of each health factor
+        battery: 25, completeness: 25, stuck: 20, plausibility: 15, drift: 15
+    },
+    validationMode: "drop",             // "drop", "quarantine" (also written out) or "off"
+    validationRanges: {},               // field -> [min, max] overriding the schema limits
+    validationSamples: 5,               // sample rows kept per broken rule
+    validationTimeRange: ["2000-01-01", null], // plausible reading times, null end = one day from now
+    sensorLocations: {},                // sensorId -> { latitude, longitude } when readings lack them
+    geoGridSize: 20,                    // IDW grid cells per side
+    geoGridPadding: 0.1,                // grid margin around the sensors, share of their extent
+    idwPower: 2,                        // inverse-distance weighting exponent
+    hotspotRadiusKm: 1,                 // neighbourhood for Getis-Ord Gi* hotspots
+    correlationBucket: "hourly",        // common grid the sensor series are aligned to
+    correlationMinOverlap: 24,          // shared buckets needed to correlate a pair
+    correlationMaxLag: 6,               // cross-correlation lags tried, in buckets each way
+    redundancyThreshold: 0.9,           // Pearson r above which sensors cluster as redundant
+    comparisonAlpha: 0.05,              // significance level for regionComparison
+    comparisonCorrection: "holm",       // pairwise p-value correction: "holm", "bonferroni" or "bh"
+    bootstrapSamples: 1000,             // resamples for the median confidence intervals
+    bootstrapConfidence: 0.95,          // confidence level of those intervals
+    bootstrapSeed: 42,                  // PRNG seed, so intervals are reproducible
+    decompositionBucket: "hourly",      // grid the series are decomposed on
+    decompositionPeriods: ["daily", "weekly"], // seasonal periods removed, when the data spans two of them
+    forecastBucket: "hourly",           // grid forecasts are made on; one day of buckets is a season
+    forecastHorizonHours: 24,           // how far ahead to forecast
+    forecastHoldoutHours: 24,           // tail held out to backtest each method
+    forecastThresholdPpm: 1000,         // co2ppm level whose first crossing is reported
+    forecastConfidence: 0.95,           // prediction interval coverage
+    changepointBucket: "hourly",        // grid change points are searched on
+    changepointPenalty: 3,              // cost per change, times log(buckets); higher = fewer changes
+    changepointMinSegmentHours: 24,     // shortest segment between two changes
+    changepointDeseasonalize: true,     // remove the mean daily profile before searching
+    ventilationBucket: "15min",         // smoothing grid for build-up / decay detection
+    ventilationMinSlope: 30,            // ppm per hour a bucket must rise or fall to join a phase
+    ventilationMinPhaseMinutes: 45,     // shortest build-up or decay phase kept
+    ventilationMinDeltaPpm: 100,        // smallest rise or drop over a phase
+    ventilationOutdoorPpm: null,        // outdoor co2ppm the decay tends to, null = driftReferencePpm
+    ventilationMinR2: 0.8,              // decay fits below this (log space) are not used for ACH
+    roomVolumes: {},                    // sensorId -> room volume in m3, enables occupant estimates
+    metrics: null,                      // fields for regional, sensor, temporal and anomaly analytics:
+                                        // a list, "all" numeric fields, or null = co2ppm only
+    quantileMode: "exact",              // streaming quantiles: "exact" or "approximate" (t-digest)
+    quantileCompression: 200,           // t-digest compression; rank error <= pi sqrt(q(1-q)) / compression
+    canonicalOutput: false,             // sorted keys / records, rounded numbers and a .sha256 per output
+    outputDecimals: 6,                  // decimals kept in canonical mode, null = full precision
+    outputFormats: ["json"],            // files written: analytics.json, sensors/regions/anomalies .csv, summary.md
+    modules: null                       // co2_complete modules in order, null = DEFAULT_MODULES, "all" = every module
+};
+
+/* =========================
+   PARAMETER HANDLING
+========================= */
+
+const readJsonFile = (file, label) => {
+    try {
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        console.log(`❌ Error reading ${label}: ${err.message}`);
+        return null;
+    }
+};
+
+export const loadParameters = (file = PARAMS_FILE) => {
+    if (!fs.existsSync(file)) {
+        console.log("⚠️  No parameters file found. Using defaults.");
+        return {};
+    }
+    const params = readJsonFile(file, "parameters");
+    if (params) console.log("📋 Parameters loaded:", JSON.stringify(params));
+    return params && typeof params === "object" ? params : {};
+};
+
+// algoCustomData.json carries consumer-provided reference data, e.g.
+// { "regions": { "Barcelona": { "timezone": "Europe/Madrid", "latitude": 41.39, "longitude": 2.17 } },
+//   "sensors": { "S1": { "latitude": 41.40, "longitude": 2.15 } } }
+export const loadCustomData = (file = CUSTOM_DATA_FILE) => {
+    const data = readJsonFile(file, "custom data");
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+};
+
+// Ocean consumers often pass every parameter as a string, so lists may arrive
+// as "a,b,c" and numbers as "0.05".
+const toList = v => {
+    if (v === undefined || v === null || v === "") return [];
+    const list = Array.isArray(v) ? v : String(v).split(",");
+    return list.map(s => String(s).trim()).filter(Boolean);
+};
+
+const toNumber = v => {
+    if (v === undefined || v === null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+};
+
+const toBoolean = (v, fallback) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    if (typeof v === "boolean") return v;
+    return !["false", "0", "no", "off"].includes(String(v).trim().toLowerCase());
+};
+
+// Percentiles as fractions, decided for the whole list: percent when any
+// value is 1 or more or ends in "%" ("1,99" and "1%,99%" = P01/P99),
+// fractions otherwise ("0.01,0.99"). null when a value is unusable.
+const toFractions = v => {
+    const items = toList(v);
+    const percent = items.some(s => s.endsWith("%") || Number(s) >= 1);
+    const fractions = items.map(s => {
+        const n = toNumber(s.replace(/%$/, ""));
+        if (n === null || n < 0 || n > (percent ? 100 : 1)) return null;
+        return percent ? n / 100 : n;
+    });
+    return items.length && !fractions.includes(null) ? fractions : null;
+};
+
+// One percentile: 0.05, 5 or "5%" for the fifth percentile, 1 = P01
+const toFraction = v => {
+    const fractions = toFractions(v);
+    return fractions?.length === 1 ? fractions[0] : null;
+};
+
+const toCutoffs = (v, fallback, name) => {
+    if (v === undefined || v === null) return fallback;
+    const fractions = toFractions(v) ?? [];
+    const [lo, hi] = fractions;
+    if (fractions.length !== 2 || lo >= hi) {
+        console.log(`⚠️  Ignoring ${name}: expected [low, high] percentiles`);
+        return fallback;
+    }
+    return [lo, hi];
+};
+
+const toBounded = (v, fallback, name, min, max) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    const n = toNumber(v);
+    if (n === null || n < min || n > max) {
+        console.log(`⚠️  Ignoring ${name}: expected a number between ${min} and ${max}`);
+        return fallback;
+    }
+    return n;
+};
+
+const toChoice = (v, fallback, name, choices) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    if (!choices.includes(v)) {
+        console.log(`⚠️  Ignoring ${name}: expected one of ${choices.join(", ")}`);
+        return fallback;
+    }
+    return v;
+};
+
+const toChoices = (v, fallback, name, choices) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    const list = toList(v);
+    if (!list.length || list.some(c => !choices.includes(c))) {
+        console.log(`⚠️  Ignoring ${name}: expected a list of ${choices.join(", ")}`);
+        return fallback;
+    }
+    return [...new Set(list)];
+};
+
+const toEdges = (v, fallback, name) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    const edges = toList(v).map(toNumber);
+    if (!edges.length || edges.some(e => e === null) || edges.some((e, i) => i && e <= edges[i - 1])) {
+        console.log(`⚠️  Ignoring ${name}: expected increasing numbers`);
+        return fallback;
+    }
+    return edges;
+};
+
+const toRange = (v, fallback, name) => {
+    const range = toEdges(v, fallback, name);
+    if (range && range.length !== 2) {
+        console.log(`⚠️  Ignoring ${name}: expected [min, max]`);
+        return fallback;
+    }
+    return range;
+};
+
+const toRanges = (v, name) => Object.fromEntries(
+    Object.entries(toObject(v, name))
+        .map(([field, r]) => [field, toRange(r, null, `${name}.${field}`)])
+        .filter(([, r]) => r)
+);
+
+// Partial objects override only the named weights
+const toWeights = (v, fallback, name) => {
+    const weights = { ...fallback };
+    Object.entries(toObject(v, name)).forEach(([k, w]) => {
+        if (!(k in fallback)) {
+            console.log(`⚠️  Ignoring ${name}.${k}: unknown factor`);
+            return;
+        }
+        weights[k] = toBounded(w, fallback[k], `${name}.${k}`, 0, 1000);
+    });
+    return weights;
+};
+
+const toWeekdays = (v, fallback, name) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    const days = toList(v).map(toNumber);
+    if (days.some(d => d === null || !Number.isInteger(d) || d < 0 || d > 6)) {
+        console.log(`⚠️  Ignoring ${name}: expected weekday numbers 0 (Sunday) to 6`);
+        return fallback;
+    }
+    return days;
+};
+
+// Objects may arrive JSON-encoded as a string
+const toObject = (v, name) => {
+    if (v === undefined || v === null || v === "") return {};
+    if (typeof v === "string") {
+        try {
+            v = JSON.parse(v);
+        } catch {
+            console.log(`⚠️  Ignoring ${name}: expected a JSON object`);
+            return {};
+        }
+    }
+    return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+};
+
+// sensorId -> positive volume; invalid entries are dropped
+const toVolumes = (v, name) => Object.fromEntries(
+    Object.entries(toObject(v, name))
+        .map(([id, vol]) => [id, toBounded(vol, null, `${name}.${id}`, 0.1, 1e7)])
+        .filter(([, vol]) => vol !== null)
+);
+
+// A sensorId, or a JSON object mapping region -> reference sensorId
+const toReference = v => {
+    if (v === undefined || v === null || v === "") return null;
+    if (typeof v === "object" || String(v).trim().startsWith("{")) {
+        const map = toObject(v, "calibrationReference");
+        return Object.keys(map).length ? map : null;
+    }
+    return String(v);
+};
+
+const toTimezone = (v, fallback, name) => {
+    if (v === undefined || v === null || v === "") return fallback;
+    if (!isValidTimezone(v)) {
+        console.log(`⚠️  Ignoring ${name}: unknown timezone "${v}"`);
+        return fallback;
+    }
+    return v;
+};
+
+// Degrees within ±max (90 for latitude, 180 for longitude), else null; also
+// used for the coordinates readings carry
+export const toCoordinate = (v, max) => {
+    const n = toNumber(v);
+    return n !== null && Math.abs(n) <= max ? n : null;
+};
+
+// Merges region metadata from custom data and parameters (parameters win)
+const toRegionInfo = (...sources) => {
+    const info = {};
+    sources.forEach(src => {
+        Object.entries(src).forEach(([region, r]) => {
+            if (!r || typeof r !== "object") return;
+            const cur = info[region] ??= {};
+            const tz = toTimezone(r.timezone ?? r.tz, null, `timezone of ${region}`);
+            const lat = toCoordinate(r.latitude ?? r.lat, 90);
+            const lon = toCoordinate(r.longitude ?? r.lon ?? r.lng, 180);
+            if (tz) cur.timezone = tz;
+            if (lat !== null && lon !== null) Object.assign(cur, { latitude: lat, longitude: lon });
+        });
+    });
+    return info;
+};
+
+// sensorId -> { latitude, longitude }, later sources win
+const toLocations = (...sources) => {
+    const locations = {};
+    sources.forEach(src => {
+        Object.entries(src).forEach(([id, r]) => {
+            const lat = toCoordinate(r?.latitude ?? r?.lat, 90);
+            const lon = toCoordinate(r?.longitude ?? r?.lon ?? r?.lng, 180);
+            if (lat !== null && lon !== null) locations[id] = { latitude: lat, longitude: lon };
+        });
+    });
+    return locations;
+};
+
+// endOfDay: a date without a time ("2025-01-31") covers that whole UTC day
+const toDate = (v, name, endOfDay = false) => {
+    if (v === undefined || v === null || v === "") return null;
+    const d = parseDate(v);
+    if (!d) console.log(`⚠️  Ignoring ${name}: unparseable date "${v}"`);
+    else if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(v).trim())) d.setUTCHours(23, 59, 59, 999);
+    return d;
+};
+
+// [from, to] in epoch ms. An empty or null end takes the fallback's; a null
+// `to` there stands for one day after the job starts.
+const toTimeRange = (v, fallback, name) => {
+    const blank = e => e === undefined || e === null || String(e).trim() === "" || e === "null";
+    const ends = blank(v) ? [] : Array.isArray(v) ? v : String(v).split(",");
+    const resolved = [0, 1].map(i => {
+        const e = blank(ends[i]) ? fallback[i] : ends[i];
+        if (e === null) return i ? Date.now() + DAY_MS : -Infinity;
+        return parseDate(String(e).trim())?.getTime() ?? null;
+    });
+    if (ends.length > 2 || resolved.includes(null) || resolved[0] >= resolved[1]) {
+        console.log(`⚠️  Ignoring ${name}: expected [from, to] dates`);
+        return toTimeRange(null, fallback, name);
+    }
+    return resolved;
+};
+
+const toMetrics = (v, fallback) => {
+    const list = toList(v);
+    if (!list.length) return fallback;
+    return list.includes("all") ? "all" : [...new Set(list)];
+};
+
+// "null" / "full" keep full precision
+const toDecimals = (v, fallback) => {
+    if (v === null || ["null", "full"].includes(String(v).trim().toLowerCase())) return null;
+    const n = toBounded(v, fallback, "outputDecimals", 0, 15);
+    return n === null ? null : Math.round(n);
+};
+
+const snakeCase = k => k.replace(/[A-Z]/g, c => "_" + c.toLowerCase());
+
+export function resolveParameters(raw = {}, custom = {}) {
+    const d = DEFAULT_PARAMS;
+    const read = (key, ...aliases) =>
+        [key, snakeCase(key), ...aliases].map(k => raw[k]).find(v => v !== undefined);
+    const modules = toList(read("modules", "sections", "output_sections"));
+
+    return {
+        dateFrom: toDate(read("dateFrom"), "dateFrom"),
+        dateTo: toDate(read("dateTo"), "dateTo", true),
+        regions: toList(read("regions", "region")),
+        sensors: toList(read("sensors", "sensorIds", "sensor_ids")),
+        anomalyPercentiles: toCutoffs(read("anomalyPercentiles"), d.anomalyPercentiles, "anomalyPercentiles"),
+        regionPercentiles: toCutoffs(read("regionPercentiles"), d.regionPercentiles, "regionPercentiles"),
+        dayStartHour: toBounded(read("dayStartHour"), d.dayStartHour, "dayStartHour", 0, 24),
+        dayEndHour: toBounded(read("dayEndHour"), d.dayEndHour, "dayEndHour", 0, 24),
+        dayNightMode: toChoice(read("dayNightMode"), d.dayNightMode, "dayNightMode", ["hours", "sun"]),
+        timezone: toTimezone(read("timezone"), d.timezone, "timezone"),
+        regionInfo: toRegionInfo(toObject(custom.regions, "custom data regions"), toObject(read("regionInfo"), "regionInfo")),
+        weekendDays: toWeekdays(read("weekendDays"), d.weekendDays, "weekendDays"),
+        anomalyMethod: toChoice(read("anomalyMethod"), d.anomalyMethod, "anomalyMethod", ["mad", "zscore"]),
+        anomalyWindow: Math.round(toBounded(read("anomalyWindow"), d.anomalyWindow, "anomalyWindow", 3, 10000)),
+        anomalyThreshold: toBounded(read("anomalyThreshold"), d.anomalyThreshold, "anomalyThreshold", 0, 1000),
+        maxAnomalies: Math.round(toBounded(read("maxAnomalies"), d.maxAnomalies, "maxAnomalies", 0, 1e6)),
+        episodeMaxGapMinutes: toBounded(read("episodeMaxGapMinutes"), d.episodeMaxGapMinutes, "episodeMaxGapMinutes", 0, 1440),
+        exposureBands: toEdges(read("exposureBands"), d.exposureBands, "exposureBands"),
+        exposureMaxIntervalMinutes: toBounded(
+            read("exposureMaxIntervalMinutes"), d.exposureMaxIntervalMinutes, "exposureMaxIntervalMinutes", 1, 10080),
+        exposureTopN: Math.round(toBounded(read("exposureTopN"), d.exposureTopN, "exposureTopN", 0, 1000)),
+        resampleBucket: toChoice(read("resampleBucket"), d.resampleBucket, "resampleBucket", Object.keys(BUCKETS)),
+        resampleAggregation: toChoice(
+            read("resampleAggregation"), d.resampleAggregation, "resampleAggregation", Object.keys(AGGREGATIONS)),
+        gapFactor: toBounded(read("gapFactor"), d.gapFactor, "gapFactor", 1, 1000),
+        includeSeries: toBoolean(read("includeSeries"), d.includeSeries),
+        driftReferencePpm: toBounded(read("driftReferencePpm"), d.driftReferencePpm, "driftReferencePpm", 0, 5000),
+        driftTolerancePpm: toBounded(read("driftTolerancePpm"), d.driftTolerancePpm, "driftTolerancePpm", 0, 5000),
+        driftBaselinePercentile: toFraction(read("driftBaselinePercentile")) ?? d.driftBaselinePercentile,
+        driftMinNights: Math.round(toBounded(read("driftMinNights"), d.driftMinNights, "driftMinNights", 2, 10000)),
+        calibrationReference: toReference(read("calibrationReference")),
+        calibrationReferenceFile: read("calibrationReferenceFile") ? String(read("calibrationReferenceFile")) : null,
+        calibrationModel: toChoice(read("calibrationModel"), d.calibrationModel, "calibrationModel", ["linear", "piecewise"]),
+        calibrationSegments: Math.round(toBounded(read("calibrationSegments"), d.calibrationSegments, "calibrationSegments", 2, 20)),
+        calibrationWindowMinutes: toBounded(
+            read("calibrationWindowMinutes"), d.calibrationWindowMinutes, "calibrationWindowMinutes", 1, 1440),
+        calibrationMinPairs: Math.round(toBounded(read("calibrationMinPairs"), d.calibrationMinPairs, "calibrationMinPairs", 2, 1e6)),
+        batteryLowThreshold: toBounded(read("batteryLowThreshold"), d.batteryLowThreshold, "batteryLowThreshold", 0, 100),
+        batteryRechargeJump: toBounded(read("batteryRechargeJump"), d.batteryRechargeJump, "batteryRechargeJump", 0.1, 100),
+        plausibleRange: toRange(read("plausibleRange"), d.plausibleRange, "plausibleRange"),
+        stuckMinutes: toBounded(read("stuckMinutes"), d.stuckMinutes, "stuckMinutes", 1, 100000),
+        healthBatteryHorizonDays: toBounded(
+            read("healthBatteryHorizonDays"), d.healthBatteryHorizonDays, "healthBatteryHorizonDays", 1, 3650),
+        healthWeights: toWeights(read("healthWeights"), d.healthWeights, "healthWeights"),
+        validationMode: toChoice(read("validationMode"), d.validationMode, "validationMode", ["drop", "quarantine", "off"]),
+        validationRanges: toRanges(read("validationRanges"), "validationRanges"),
+        validationSamples: Math.round(toBounded(read("validationSamples"), d.validationSamples, "validationSamples", 0, 1000)),
+        validationTimeRange: toTimeRange(read("validationTimeRange"), d.validationTimeRange, "validationTimeRange"),
+        sensorLocations: toLocations(
+            toObject(custom.sensors, "custom data sensors"), toObject(read("sensorLocations"), "sensorLocations")),
+        geoGridSize: Math.round(toBounded(read("geoGridSize"), d.geoGridSize, "geoGridSize", 1, 500)),
+        geoGridPadding: toBounded(read("geoGridPadding"), d.geoGridPadding, "geoGridPadding", 0, 10),
+        idwPower: toBounded(read("idwPower"), d.idwPower, "idwPower", 0.1, 10),
+        hotspotRadiusKm: toBounded(read("hotspotRadiusKm"), d.hotspotRadiusKm, "hotspotRadiusKm", 0, 20000),
+        correlationBucket: toChoice(read("correlationBucket"), d.correlationBucket, "correlationBucket", Object.keys(BUCKETS)),
+        correlationMinOverlap: Math.round(
+            toBounded(read("correlationMinOverlap"), d.correlationMinOverlap, "correlationMinOverlap", 3, 1e6)),
+        correlationMaxLag: Math.round(toBounded(read("correlationMaxLag"), d.correlationMaxLag, "correlationMaxLag", 0, 1000)),
+        redundancyThreshold: toBounded(read("redundancyThreshold"), d.redundancyThreshold, "redundancyThreshold", -1, 1),
+        comparisonAlpha: toBounded(read("comparisonAlpha"), d.comparisonAlpha, "comparisonAlpha", 0.0001, 0.5),
+        comparisonCorrection: toChoice(
+            read("comparisonCorrection"), d.comparisonCorrection, "comparisonCorrection", ["holm", "bonferroni", "bh"]),
+        bootstrapSamples: Math.round(toBounded(read("bootstrapSamples"), d.bootstrapSamples, "bootstrapSamples", 0, 100000)),
+        bootstrapConfidence: toBounded(read("bootstrapConfidence"), d.bootstrapConfidence, "bootstrapConfidence", 0.5, 0.999),
+        bootstrapSeed: Math.round(toBounded(read("bootstrapSeed"), d.bootstrapSeed, "bootstrapSeed", 0, 2 ** 32 - 1)),
+        decompositionBucket: toChoice(
+            read("decompositionBucket"), d.decompositionBucket, "decompositionBucket", Object.keys(BUCKETS)),
+        decompositionPeriods: toChoices(
+            read("decompositionPeriods"), d.decompositionPeriods, "decompositionPeriods", Object.keys(PERIODS)),
+        forecastBucket: toChoice(read("forecastBucket"), d.forecastBucket, "forecastBucket", Object.keys(BUCKETS)),
+        forecastHorizonHours: toBounded(read("forecastHorizonHours"), d.forecastHorizonHours, "forecastHorizonHours", 1, 24 * 90),
+        forecastHoldoutHours: toBounded(read("forecastHoldoutHours"), d.forecastHoldoutHours, "forecastHoldoutHours", 1, 24 * 90),
+        forecastThresholdPpm: toBounded(read("forecastThresholdPpm"), d.forecastThresholdPpm, "forecastThresholdPpm", 0, 40000),
+        forecastConfidence: toBounded(read("forecastConfidence"), d.forecastConfidence, "forecastConfidence", 0.5, 0.999),
+        changepointBucket: toChoice(read("changepointBucket"), d.changepointBucket, "changepointBucket", Object.keys(BUCKETS)),
+        changepointPenalty: toBounded(read("changepointPenalty"), d.changepointPenalty, "changepointPenalty", 0.1, 1000),
+        changepointMinSegmentHours: toBounded(
+            read("changepointMinSegmentHours"), d.changepointMinSegmentHours, "changepointMinSegmentHours", 1, 24 * 365),
+        changepointDeseasonalize: toBoolean(read("changepointDeseasonalize"), d.changepointDeseasonalize),
+        ventilationBucket: toChoice(read("ventilationBucket"), d.ventilationBucket, "ventilationBucket", Object.keys(BUCKETS)),
+        ventilationMinSlope: toBounded(read("ventilationMinSlope"), d.ventilationMinSlope, "ventilationMinSlope", 0, 100000),
+        ventilationMinPhaseMinutes: toBounded(
+            read("ventilationMinPhaseMinutes"), d.ventilationMinPhaseMinutes, "ventilationMinPhaseMinutes", 1, 1440),
+        ventilationMinDeltaPpm: toBounded(
+            read("ventilationMinDeltaPpm"), d.ventilationMinDeltaPpm, "ventilationMinDeltaPpm", 0, 40000),
+        ventilationOutdoorPpm: toBounded(
+            read("ventilationOutdoorPpm"), d.ventilationOutdoorPpm, "ventilationOutdoorPpm", 0, 5000),
+        ventilationMinR2: toBounded(read("ventilationMinR2"), d.ventilationMinR2, "ventilationMinR2", 0, 1),
+        roomVolumes: toVolumes(read("roomVolumes"), "roomVolumes"),
+        metrics: toMetrics(read("metrics", "metric"), d.metrics),
+        quantileMode: toChoice(read("quantileMode"), d.quantileMode, "quantileMode", ["exact", "approximate"]),
+        quantileCompression: Math.round(
+            toBounded(read("quantileCompression"), d.quantileCompression, "quantileCompression", 20, 5000)),
+        canonicalOutput: toBoolean(read("canonicalOutput", "canonical"), d.canonicalOutput),
+        outputDecimals: toDecimals(read("outputDecimals"), d.outputDecimals),
+        outputFormats: toChoices(
+            read("outputFormats", "formats"), d.outputFormats, "outputFormats", ["json", "csv", "markdown"]),
+        modules: modules.length ? modules : d.modules
+    };
+}
+
+/* =========================
+   Filters & naming
+========================= */
+
+// Predicate for the date, region and sensor filters
+export function matchesFilters(params) {
+    const regions = new Set(params.regions);
+    const sensors = new Set(params.sensors);
+    return p =>
+        (!params.dateFrom || p.ts >= params.dateFrom) &&
+        (!params.dateTo || p.ts <= params.dateTo) &&
+        (!regions.size || regions.has(String(p.region))) &&
+        (!sensors.size || sensors.has(String(p.sensorId)));
+}
+
+export function applyFilters(points, params) {
+    const kept = points.filter(matchesFilters(params));
+
+    if (kept.length !== points.length) {
+        console.log(`🔎 Filters kept ${kept.length} of ${points.length} points`);
+    }
+    return kept;
+}
+
+// Output key for a percentile cutoff: 0.05 -> "05", 0.995 -> "99.5"
+export const pctLabel = p => {
+    const v = Math.round(p * 1000) / 10;
+    return Number.isInteger(v) ? String(v).padStart(2, "0") : String(v);
+};
+
+// Day window may wrap midnight (e.g. 20 -> 4 for night shifts)
+export const isDayHour = (h, params) =>
+    params.dayStartHour <= params.dayEndHour
+        ? h >= params.dayStartHour && h < params.dayEndHour
+        : h >= params.dayStartHour || h < params.dayEndHour;
+
+export const timezoneOf = (params, region) => params.regionInfo[region]?.timezone ?? params.timezone;
+
+export function loadJobParameters() {
+    return resolveParameters(loadParameters(), loadCustomData());
+}
@@ -0,0 +1,126 @@
+import { quantileOfSorted } from "./stats.js";
+
+/* =========================
+   Exact quantiles
+========================= */
+
+// Keeps every value in a growable Float64Array (8 bytes per value) and sorts
+// once when queried; exact, same interpolation as percentile().
+export class ExactQuantiles {
+    constructor() {
+        this.values = new Float64Array(1024);
+        this.count = 0;
+        this.sorted = true;
+    }
+
+    push(v) {
+        if (this.count === this.values.length) {
+            const grown = new Float64Array(this.values.length * 2);
+            grown.set(this.values);
+            this.values = grown;
+        }
+        this.values[this.count++] = v;
+        this.sorted = false;
+    }
+
+    quantile(q) {
+        if (!this.count) return null;
+        const view = this.values.subarray(0, this.count);
+        if (!this.sorted) {
+            view.sort();
+            this.sorted = true;
+        }
+        return quantileOfSorted(view, q);
+    }
+}
+
+/* =========================
+   Approximate quantiles (merging t-digest)
+========================= */
+
+// Centroids are bounded by the k1 scale function k(q) = d/(2 pi) asin(2q - 1),
+// d = compression: a centroid spans at most one unit of k, i.e. a share of
+// 2 pi sqrt(q(1-q)) / d of the data around quantile q. Interpolating inside a
+// centroid is then off by at most half of it, so the rank error at q is
+// bounded by rankErrorBound(q, d) x n: 0.79% of n at the median and 0.16% at
+// p01/p99 for d = 200. Memory stays O(d) whatever n is; min and max are exact.
+export const rankErrorBound = (q, compression) => Math.PI * Math.sqrt(q * (1 - q)) / compression;
+
+export class TDigest {
+    constructor(compression = 200) {
+        this.compression = compression;
+        this.means = [];
+        this.weights = [];
+        this.buffer = [];
+        this.count = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    push(v) {
+        this.buffer.push(v);
+        this.count++;
+        if (v < this.min) this.min = v;
+        if (v > this.max) this.max = v;
+        if (this.buffer.length >= this.compression * 5) this.#merge();
+    }
+
+    #k(q) {
+        return this.compression / (2 * Math.PI) * Math.asin(2 * q - 1);
+    }
+
+    // Merges buffered values into the centroids in one sorted pass
+    #merge() {
+        if (!this.buffer.length) return;
+        const items = this.means.map((m, i) => [m, this.weights[i]]);
+        this.buffer.forEach(v => items.push([v, 1]));
+        items.sort((a, b) => a[0] - b[0]);
+        this.buffer = [];
+
+        const n = this.count;
+        const means = [], weights = [];
+        let before = 0;
+        let [mean, weight] = items[0];
+        for (let i = 1; i < items.length; i++) {
+            const [m, w] = items[i];
+            if (this.#k((before + weight + w) / n) - this.#k(before / n) <= 1) {
+                weight += w;
+                mean += (m - mean) * w / weight;
+            } else {
+                means.push(mean);
+                weights.push(weight);
+                before += weight;
+                [mean, weight] = [m, w];
+            }
+        }
+        means.push(mean);
+        weights.push(weight);
+        this.means = means;
+        this.weights = weights;
+    }
+
+    // Interpolates between centroid centres; the ends run to the exact min/max
+    quantile(q) {
+        this.#merge();
+        if (!this.count) return null;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+
+        const { means, weights } = this;
+        const target = q * this.count;
+        let cum = 0, prevCentre = 0, prevMean = this.min;
+        for (let i = 0; i < means.length; i++) {
+            const centre = cum + weights[i] / 2;
+            if (target < centre) {
+                return prevMean + (means[i] - prevMean) * (target - prevCentre) / (centre - prevCentre);
+            }
+            cum += weights[i];
+            prevCentre = centre;
+            prevMean = means[i];
+        }
+        return prevMean + (this.max - prevMean) * (target - prevCentre) / (this.count - prevCentre || 1);
+    }
+}
+
+export const createQuantiles = params =>
+    params.quantileMode === "approximate" ? new TDigest(params.quantileCompression) : new ExactQuantiles();
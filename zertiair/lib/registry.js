@@ -0,0 +1,18 @@
+/* =========================
+   Analytics module registry
+========================= */
+
+const MODULES = new Map();
+
+// Every module is a function (points, params, context) => JSON-serializable
+// result, registered under the key it gets in the output document. `context`
+// carries what the pipeline computed before the modules ran (dataQuality,
+// calibration).
+export function registerModule(name, run) {
+    if (MODULES.has(name)) throw new Error(`Module "${name}" registered twice`);
+    MODULES.set(name, run);
+}
+
+export const getModule = name => MODULES.get(name);
+
+export const listModules = () => [...MODULES.keys()];
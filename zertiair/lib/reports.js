@@ -0,0 +1,184 @@
+import { canonicalize, isRecord, writeOutput } from "./output.js";
+
+/* =========================
+   Record tables
+========================= */
+
+const isScalar = v => v === null || ["number", "string", "boolean"].includes(typeof v);
+
+// Path segments that only group results; left out of column and source names
+const GROUPING = new Set(["byMetric", "metrics", "sensors", "regions"]);
+
+const sourceOf = path => path.filter(s => !GROUPING.has(s)).join(".");
+
+const compareIds = (a, b) => a === b ? 0 : String(a) < String(b) ? -1 : 1;
+
+// Scalar fields of a record, nested objects flattened to dotted names; arrays
+// (series, profiles, nested events) are left out
+function flatten(record, prefix = "", out = {}) {
+    Object.entries(record).forEach(([k, v]) => {
+        const name = prefix ? `${prefix}.${k}` : k;
+        if (isScalar(v)) out[name] = v;
+        else if (isRecord(v)) flatten(v, name, out);
+    });
+    return out;
+}
+
+// Arrays holding exactly one record per `key` value (per-sensor or per-region
+// results) anywhere in the result; arrays are not searched further. Region
+// tables skip records that also carry a sensorId.
+function findTables(value, key, path = [], found = []) {
+    if (Array.isArray(value)) {
+        const ids = value.map(v => isRecord(v) ? v[key] : undefined);
+        const perKey = value.length > 0 &&
+            ids.every(id => id !== undefined && id !== null) &&
+            new Set(ids).size === ids.length &&
+            (key === "sensorId" || value.every(v => v.sensorId === undefined));
+        if (perKey) found.push({ source: sourceOf(path), records: value });
+        return found;
+    }
+    if (isRecord(value)) Object.entries(value).forEach(([k, v]) => findTables(v, key, [...path, k], found));
+    return found;
+}
+
+// One row per sensor / region: every table found contributes its fields as
+// `<source>.<field>` columns, the leading columns are shared
+function joinTables(sections, key, leading) {
+    const rows = new Map();
+    const columns = new Set(leading);
+    findTables(sections, key).forEach(({ source, records }) => {
+        records.forEach(record => {
+            const id = record[key];
+            if (!rows.has(id)) rows.set(id, {});
+            const row = rows.get(id);
+            Object.entries(flatten(record)).forEach(([field, v]) => {
+                if (leading.includes(field)) {
+                    row[field] ??= v;
+                    return;
+                }
+                const column = source ? `${source}.${field}` : field;
+                columns.add(column);
+                row[column] = v;
+            });
+        });
+    });
+    return {
+        columns: [...columns],
+        rows: [...rows.values()].sort((a, b) => compareIds(a[key], b[key]))
+    };
+}
+
+// Every `anomalies` array of records, one row per flagged reading
+function anomalyTable(sections) {
+    const rows = [];
+    const columns = new Set(["source", "sensorId", "region", "timestamp"]);
+    const walk = (value, path) => {
+        if (Array.isArray(value)) {
+            if (path[path.length - 1] !== "anomalies" || !value.every(isRecord)) return;
+            const source = sourceOf(path.slice(0, -1));
+            value.forEach(a => {
+                const row = { source, ...flatten(a) };
+                Object.keys(row).forEach(c => columns.add(c));
+                rows.push(row);
+            });
+            return;
+        }
+        if (isRecord(value)) Object.entries(value).forEach(([k, v]) => walk(v, [...path, k]));
+    };
+    walk(sections, []);
+    rows.sort((a, b) => compareIds(a.source, b.source) || compareIds(a.sensorId, b.sensorId) ||
+        compareIds(a.timestamp, b.timestamp));
+    return { columns: [...columns], rows };
+}
+
+/* =========================
+   CSV
+========================= */
+
+// RFC 4180: fields with a comma, quote or line break are quoted, quotes doubled
+const csvField = v => {
+    if (v === undefined || v === null) return "";
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+};
+
+const toCsv = ({ columns, rows }) =>
+    [columns, ...rows.map(row => columns.map(c => row[c]))]
+        .map(line => line.map(csvField).join(","))
+        .join("\r\n") + "\r\n";
+
+/* =========================
+   Markdown
+========================= */
+
+const MAX_COLUMNS = 8;
+const MAX_ROWS = 50;
+const MAX_FACTS = 12;
+
+const mdCell = v => {
+    if (v === undefined || v === null) return "";
+    if (typeof v === "number") return String(Number.isInteger(v) ? v : Number(v.toFixed(2)));
+    return String(v).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+};
+
+const mdTable = (columns, rows) => [
+    `| ${columns.map(mdCell).join(" | ")} |`,
+    `|${columns.map(() => " --- ").join("|")}|`,
+    ...rows.map(row => `| ${columns.map(c => mdCell(row[c])).join(" | ")} |`)
+];
+
+// Scalar facts, then the per-sensor / per-region tables (first columns and
+// rows only, the CSVs carry the rest) of one section
+function mdSection(name, value) {
+    const lines = [`## ${name}`, ""];
+    const facts = isRecord(value) ? Object.entries(flatten(value)) : [];
+    facts.slice(0, MAX_FACTS).forEach(([k, v]) => lines.push(`- **${k}**: ${mdCell(v)}`));
+    if (facts.length > MAX_FACTS) lines.push(`- … ${facts.length - MAX_FACTS} more fields not shown`);
+    if (facts.length) lines.push("");
+
+    const tables = ["region", "sensorId"].flatMap(key => findTables(value, key).map(t => ({ key, ...t })));
+    tables.forEach(({ key, source, records }) => {
+        const rows = records.map(r => flatten(r));
+        const columns = [...new Set([key, ...rows.flatMap(Object.keys)])].slice(0, MAX_COLUMNS);
+        if (source) lines.push(`### ${source}`, "");
+        lines.push(...mdTable(columns, rows.slice(0, MAX_ROWS)));
+        if (rows.length > MAX_ROWS) lines.push("", `… ${rows.length - MAX_ROWS} more rows`);
+        lines.push("");
+    });
+
+    const anomalies = anomalyTable(value).rows;
+    if (anomalies.length) lines.push(`${anomalies.length} anomalies listed in anomalies.csv`, "");
+    if (lines.length === 2) lines.push("No tabular results.", "");
+    return lines;
+}
+
+const toMarkdown = sections => [
+    "# ZertiAir analytics summary",
+    "",
+    `Sections: ${Object.keys(sections).join(", ")}`,
+    "",
+    ...Object.entries(sections).flatMap(([name, value]) => mdSection(name, value))
+].join("\n");
+
+/* =========================
+   Writing
+========================= */
+
+// Writes the CSV / Markdown formats selected by params.outputFormats for a
+// result keyed by section (module) name. In canonical mode they are built
+// from the canonical result, so they round and hash like analytics.json.
+export function writeReports(sections, params) {
+    const formats = params.outputFormats ?? [];
+    const data = params.canonicalOutput ? canonicalize(sections, params.outputDecimals) : sections;
+
+    if (formats.includes("csv")) {
+        writeOutput("sensors.csv", toCsv(joinTables(data, "sensorId", ["sensorId", "region"])), params);
+        writeOutput("regions.csv", toCsv(joinTables(data, "region", ["region"])), params);
+        writeOutput("anomalies.csv", toCsv(anomalyTable(data)), params);
+        console.log("📑 CSV reports written (sensors, regions, anomalies)");
+    }
+    if (formats.includes("markdown")) {
+        writeOutput("summary.md", toMarkdown(data), params);
+        console.log("📝 Markdown summary written");
+    }
+}
@@ -0,0 +1,108 @@
+import { INPUT_DIR, loadInputs, logLoadIssues } from "./loader.js";
+import { validatePoints, schemaFor } from "./validation.js";
+import { calibratePoints } from "./calibration.js";
+import { loadJobParameters, applyFilters } from "./params.js";
+import { canonicalize, writeOutput } from "./output.js";
+import { writeReports } from "./reports.js";
+import { getModule, listModules } from "./registry.js";
+import { aggregateInputs } from "./streaming.js";
+
+function writeQualityReport(dataQuality, quarantined, params) {
+    const mode = params.validationMode;
+    if (mode === "off") return;
+    writeOutput("data_quality.json", dataQuality, params);
+    if (mode === "quarantine" && quarantined.length) {
+        const rows = params.canonicalOutput
+            ? quarantined.map(q => canonicalize(q, params.outputDecimals))
+            : quarantined;
+        const file = writeOutput("quarantine.ndjson", rows.map(q => JSON.stringify(q)).join("\n") + "\n", params);
+        console.log(`🗄️  ${quarantined.length} rejected row(s) written to ${file}`);
+    }
+}
+
+// Load -> validate -> calibrate -> filter. Calibration runs on the unfiltered
+// points so a reference sensor excluded by the filters still corrects the others.
+function prepare() {
+    const params = loadJobParameters();
+    const refFile = params.calibrationReferenceFile;
+    const loaded = loadInputs(INPUT_DIR, refFile ? [refFile] : []);
+    logLoadIssues(loaded.files);
+
+    const validated = validatePoints(loaded.points, loaded.invalid, params, schemaFor(params));
+    const dataQuality = { ...validated.report, files: loaded.files };
+    writeQualityReport(dataQuality, validated.quarantined, params);
+
+    const { points: calibrated, report } = calibratePoints(validated.points, params);
+    const points = applyFilters(calibrated, params);
+    console.log("📥 Loaded points:", points.length);
+    return { params, points, context: { calibration: report, dataQuality } };
+}
+
+// `sections` is the result keyed by module name, used for the CSV / Markdown reports
+function writeResult(result, params, sections = result) {
+    if (params.outputFormats.includes("json")) writeOutput("analytics.json", result, params);
+    writeReports(sections, params);
+    console.log("✅ Analytics complete");
+}
+
+/* =========================
+   Dispatcher: modules picked by the job parameters
+========================= */
+
+export function runAnalytics(defaultModules = listModules()) {
+    try {
+        const { params, points, context } = prepare();
+        const names = params.modules?.includes("all") ? listModules() : params.modules ?? defaultModules;
+
+        const result = {};
+        names.forEach(name => {
+            const run = getModule(name);
+            if (!run) {
+                console.log(`⚠️  Unknown module "${name}" skipped (available: ${listModules().join(", ")})`);
+                return;
+            }
+            try {
+                result[name] = run(points, params, context);
+            } catch (e) {
+                console.log(`❌ Module ${name} failed:`, e.message);
+                result[name] = { error: e.message };
+            }
+        });
+
+        writeResult(result, params);
+    } catch (e) {
+        console.log("❌ Error:", e.message);
+    }
+}
+
+/* =========================
+   Preset: one fixed module, result written unwrapped
+========================= */
+
+export function runPreset(name) {
+    try {
+        const run = getModule(name);
+        if (!run) throw new Error(`Module "${name}" is not registered`);
+
+        const { params, points, context } = prepare();
+        const result = run(points, params, context);
+        writeResult(result, params, { [name]: result });
+    } catch (e) {
+        console.log("❌ Error:", e.message);
+    }
+}
+
+/* =========================
+   Streaming: summary statistics without loading every point
+========================= */
+
+export function runStreaming() {
+    try {
+        const params = loadJobParameters();
+        const refFile = params.calibrationReferenceFile;
+        const result = aggregateInputs(params, INPUT_DIR, refFile ? [refFile] : []);
+        writeResult(result, params, { streaming: result });
+    } catch (e) {
+        console.log("❌ Error:", e.message);
+    }
+}
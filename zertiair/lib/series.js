@@ -0,0 +1,191 @@
+import { avg, percentile, minOf, maxOf } from "./stats.js";
+
+/* =========================
+   Time-series helpers
+========================= */
+
+// sensorId -> readings sorted by ts. Sensors are iterated in id order, so
+// per-sensor results and pairs do not depend on the order of the input files.
+export function bySensorSorted(points) {
+    const bySensor = new Map();
+    points.forEach(p => {
+        const id = String(p.sensorId);
+        if (!bySensor.has(id)) bySensor.set(id, []);
+        bySensor.get(id).push(p);
+    });
+    bySensor.forEach(ps => ps.sort((a, b) => a.ts - b.ts));
+    return new Map([...bySensor].sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+}
+
+// Fixed-size window kept sorted, so the median is O(1) and each push is O(window)
+export class SortedWindow {
+    constructor(size) {
+        this.size = size;
+        this.queue = [];
+        this.sorted = [];
+    }
+
+    get length() {
+        return this.queue.length;
+    }
+
+    push(v) {
+        this.queue.push(v);
+        this.sorted.splice(this.#indexOf(v), 0, v);
+        if (this.queue.length > this.size) {
+            const old = this.queue.shift();
+            this.sorted.splice(this.#indexOf(old), 1);
+        }
+    }
+
+    median() {
+        const s = this.sorted, n = s.length;
+        if (!n) return null;
+        return n % 2 ? s[(n - 1) / 2] : (s[n / 2 - 1] + s[n / 2]) / 2;
+    }
+
+    // Lower-bound binary search
+    #indexOf(v) {
+        let lo = 0, hi = this.sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.sorted[mid] < v) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+}
+
+// Pairs each reading with the time it stands for: the interval until the next
+// reading, capped at maxMs so a reporting gap is not counted as exposure. The
+// last reading gets the sensor's median interval (also capped).
+export function withDurations(ps, maxMs) {
+    const gaps = [];
+    for (let i = 1; i < ps.length; i++) gaps.push(ps[i].ts - ps[i - 1].ts);
+    const typical = gaps.length ? [...gaps].sort((a, b) => a - b)[gaps.length >> 1] : 0;
+
+    return ps.map((p, i) => ({
+        p,
+        ms: Math.min(i < gaps.length ? gaps[i] : typical, maxMs)
+    }));
+}
+
+/* =========================
+   Resampling & gaps
+========================= */
+
+export const BUCKETS = {
+    "1min": 60000,
+    "5min": 300000,
+    "15min": 900000,
+    "30min": 1800000,
+    hourly: 3600000,
+    daily: 86400000
+};
+
+// Seasonal periods for decomposition and forecasting
+export const PERIODS = {
+    daily: 86400000,
+    weekly: 604800000
+};
+
+// Bucket aggregations; buckets passed in are never empty
+export const AGGREGATIONS = {
+    mean: avg,
+    median: vals => percentile(vals, 0.5),
+    min: minOf,
+    max: maxOf,
+    sum: vals => vals.reduce((s, v) => s + v, 0),
+    last: vals => vals.at(-1)
+};
+
+// Median spacing between consecutive readings, in ms (null with < 2 readings)
+export function inferInterval(ps) {
+    if (ps.length < 2) return null;
+    const gaps = [];
+    for (let i = 1; i < ps.length; i++) {
+        const d = ps[i].ts - ps[i - 1].ts;
+        if (d > 0) gaps.push(d);
+    }
+    if (!gaps.length) return null;
+    gaps.sort((a, b) => a - b);
+    return gaps[gaps.length >> 1];
+}
+
+// Fixed UTC-aligned grid from the first to the last reading's bucket; empty
+// buckets are kept with value null so the grid stays regular.
+export function resample(ps, bucketMs, aggregation = "mean", field = "co2ppm") {
+    const valid = ps.filter(p => Number.isFinite(p[field]));
+    if (!valid.length) return [];
+
+    const first = Math.floor(valid[0].ts / bucketMs) * bucketMs;
+    const last = Math.floor(valid.at(-1).ts / bucketMs) * bucketMs;
+    const buckets = Array.from({ length: (last - first) / bucketMs + 1 }, () => []);
+    valid.forEach(p => buckets[Math.floor((p.ts - first) / bucketMs)].push(p[field]));
+
+    const agg = AGGREGATIONS[aggregation];
+    return buckets.map((vals, i) => ({
+        t: first + i * bucketMs,
+        value: vals.length ? agg(vals) : null,
+        count: vals.length
+    }));
+}
+
+// Per-sensor and per-region resampled series, sensors in id order and regions
+// in order of their first sensor. A region's series averages all of its
+// sensors' readings per bucket.
+export function bucketedSeries(points, bucketMs) {
+    const sensors = [];
+    const byRegion = {};
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const region = ps[0].region;
+        const list = byRegion[region] ??= [];
+        for (const p of ps) list.push(p);
+        sensors.push({ sensorId, region, grid: resample(ps, bucketMs) });
+    });
+    const regions = Object.entries(byRegion).map(([region, ps]) => ({
+        region,
+        grid: resample(ps.sort((a, b) => a.ts - b.ts), bucketMs)
+    }));
+    return { sensors, regions };
+}
+
+// Values of a resampled grid with empty buckets linearly interpolated
+// between their neighbours (the grid never starts or ends empty)
+export function interpolateGaps(series) {
+    const values = series.map(b => b.value);
+    let prev = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] === null) continue;
+        for (let j = prev + 1; j < i; j++) {
+            values[j] = values[prev] + (values[i] - values[prev]) * (j - prev) / (i - prev);
+        }
+        prev = i;
+    }
+    return values;
+}
+
+// Distinct readings as a share of those expected at the inferred interval
+export function completenessPct(ps, intervalMs) {
+    const distinct = new Set(ps.map(p => p.ts.getTime())).size;
+    const expected = intervalMs ? Math.floor((ps.at(-1).ts - ps[0].ts) / intervalMs) + 1 : distinct;
+    return expected ? Math.min(100, distinct / expected * 100) : 0;
+}
+
+// Spans where consecutive readings are more than factor x interval apart
+export function findGaps(ps, intervalMs, factor = 2) {
+    const gaps = [];
+    if (!intervalMs) return gaps;
+    for (let i = 1; i < ps.length; i++) {
+        const d = ps[i].ts - ps[i - 1].ts;
+        if (d > factor * intervalMs) {
+            gaps.push({
+                start: ps[i - 1].ts.toISOString(),
+                end: ps[i].ts.toISOString(),
+                durationMinutes: d / 60000,
+                missingReadings: Math.round(d / intervalMs) - 1
+            });
+        }
+    }
+    return gaps;
+}
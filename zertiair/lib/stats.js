@@ -0,0 +1,114 @@
+/* =========================
+   Stats helpers shared by the zertiair analytics
+========================= */
+
+// Linear interpolation between closest ranks of an ascending array
+export const quantileOfSorted = (s, p) => {
+    const i = (s.length - 1) * p;
+    const lo = Math.floor(i), hi = Math.ceil(i);
+    return lo === hi ? s[lo] : s[lo] + (s[hi] - s[lo]) * (i - lo);
+};
+
+// Typed copy: numeric sort without a comparator, 8 bytes per value
+const sortedCopy = arr => Float64Array.from(arr).sort();
+
+export const percentile = (arr, p) => arr.length ? quantileOfSorted(sortedCopy(arr), p) : null;
+
+// Several cutoffs from a single sort
+export const percentiles = (arr, ps) => {
+    if (!arr.length) return ps.map(() => null);
+    const s = sortedCopy(arr);
+    return ps.map(p => quantileOfSorted(s, p));
+};
+
+export const avg = a => a.length ? a.reduce((s, v) => s + v, 0) / a.length : 0;
+
+// Loop instead of Math.min(...a), which overflows the call stack on large arrays
+export const minOf = a => a.reduce((m, v) => v < m ? v : m, Infinity);
+export const maxOf = a => a.reduce((m, v) => v > m ? v : m, -Infinity);
+
+// Population variance / standard deviation, 0 below two values
+export const variance = a => {
+    if (a.length < 2) return 0;
+    const m = avg(a);
+    return avg(a.map(v => (v - m) ** 2));
+};
+
+export const std = a => Math.sqrt(variance(a));
+
+// Single-pass count, mean, population variance (Welford), min and max in
+// constant memory; std matches std() above.
+export class RunningStats {
+    constructor() {
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    push(v) {
+        this.count++;
+        const delta = v - this.mean;
+        this.mean += delta / this.count;
+        this.m2 += delta * (v - this.mean);
+        if (v < this.min) this.min = v;
+        if (v > this.max) this.max = v;
+    }
+
+    get variance() {
+        return this.count ? this.m2 / this.count : 0;
+    }
+
+    get std() {
+        return this.count < 2 ? 0 : Math.sqrt(this.variance);
+    }
+}
+
+// Ordinary least squares y = intercept + slope * x
+export const linearFit = (xs, ys) => {
+    const n = xs.length;
+    if (n < 2) return null;
+    const mx = avg(xs), my = avg(ys);
+    let sxx = 0, sxy = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - mx) ** 2;
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        syy += (ys[i] - my) ** 2;
+    }
+    if (!sxx) return null;
+    const slope = sxy / sxx;
+    return {
+        slope,
+        intercept: my - slope * mx,
+        r2: syy ? (sxy * sxy) / (sxx * syy) : 1
+    };
+};
+
+export const pearson = (xs, ys) => {
+    const n = xs.length;
+    if (n < 2) return null;
+    const mx = avg(xs), my = avg(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// 1-based ranks, ties get their average rank
+export const ranks = vals => {
+    const order = vals.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+    const r = new Array(vals.length);
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+        for (let k = i; k <= j; k++) r[order[k][1]] = (i + j) / 2 + 1;
+        i = j + 1;
+    }
+    return r;
+};
+
+export const spearman = (xs, ys) => pearson(ranks(xs), ranks(ys));
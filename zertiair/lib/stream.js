@@ -0,0 +1,109 @@
+import fs from "fs";
+import { StringDecoder } from "string_decoder";
+
+// Read size per chunk; a file is never held in memory as a whole
+const CHUNK_BYTES = 1 << 20;
+
+/* =========================
+   Chunked reading
+========================= */
+
+export function forEachChunk(file, onChunk) {
+    const fd = fs.openSync(file, "r");
+    const buf = Buffer.alloc(CHUNK_BYTES);
+    const decoder = new StringDecoder("utf8");
+    try {
+        let n;
+        while ((n = fs.readSync(fd, buf, 0, CHUNK_BYTES, null)) > 0) {
+            onChunk(decoder.write(buf.subarray(0, n)));
+        }
+        const rest = decoder.end();
+        if (rest) onChunk(rest);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// First `bytes` of the file, for format sniffing
+export function readHead(file, bytes = 1024) {
+    const fd = fs.openSync(file, "r");
+    try {
+        const buf = Buffer.alloc(bytes);
+        const n = fs.readSync(fd, buf, 0, bytes, 0);
+        return buf.subarray(0, n).toString("utf8");
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+export function forEachLine(file, onLine) {
+    let carry = "";
+    forEachChunk(file, chunk => {
+        const lines = (carry + chunk).split(/\r?\n/);
+        carry = lines.pop();
+        lines.forEach(onLine);
+    });
+    if (carry) onLine(carry.replace(/\r$/, ""));
+}
+
+/* =========================
+   Incremental JSON arrays
+========================= */
+
+// Calls onItem with the source text of each object or array element of a
+// top-level JSON array, tracking only nesting depth and string state so
+// memory stays at one element. Primitive elements (numbers, strings, null)
+// are not passed on; their count is returned so callers can report them.
+export function forEachJsonArrayItem(file, onItem) {
+    let depth = 0, inString = false, escaped = false;
+    let item = null;
+    let opened = false;
+    let primitives = 0, inPrimitive = false;
+
+    forEachChunk(file, chunk => {
+        let from = item === null ? -1 : 0;
+        for (let i = 0; i < chunk.length; i++) {
+            const c = chunk[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (c === "\\") escaped = true;
+                else if (c === '"') inString = false;
+                continue;
+            }
+            if (c === '"') {
+                inString = true;
+                if (depth === 1 && !inPrimitive) {
+                    inPrimitive = true;
+                    primitives++;
+                }
+            } else if (c === "[" || c === "{") {
+                if (!opened && c === "{") throw new Error("expected a JSON array of points");
+                opened = true;
+                if (++depth === 2) {
+                    item = "";
+                    from = i;
+                }
+            } else if (c === "]" || c === "}") {
+                if (depth === 1) inPrimitive = false;
+                if (depth === 2) {
+                    onItem(item + chunk.slice(from, i + 1));
+                    item = null;
+                    from = -1;
+                }
+                if (--depth < 0) throw new Error("unbalanced JSON array");
+            } else if (depth === 1) {
+                // Top-level separators and whitespace; anything else starts a primitive
+                if (c === ",") inPrimitive = false;
+                else if (!inPrimitive && c !== " " && c !== "\n" && c !== "\r" && c !== "\t") {
+                    inPrimitive = true;
+                    primitives++;
+                }
+            }
+        }
+        if (item !== null) item += chunk.slice(from);
+    });
+
+    if (!opened) throw new Error("expected a JSON array of points");
+    if (depth !== 0 || inString) throw new Error("Unexpected end of JSON input");
+    return primitives;
+}
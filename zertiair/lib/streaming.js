@@ -0,0 +1,114 @@
+import path from "path";
+import { INPUT_DIR, discoverInputFiles, forEachPoint, logLoadIssues } from "./loader.js";
+import { checkPoint, schemaFor } from "./validation.js";
+import { matchesFilters, pctLabel } from "./params.js";
+import { metricsOf } from "./metrics.js";
+import { RunningStats } from "./stats.js";
+import { createQuantiles, rankErrorBound } from "./quantiles.js";
+
+/* =========================
+   Streaming aggregation
+========================= */
+
+// Running mean / variance / min / max plus a quantile estimator per group.
+// Exact quantiles keep 8 bytes per value per group (global, region and
+// sensor: 24 bytes per reading and metric); approximate ones O(compression).
+const newGroup = params => ({ stats: new RunningStats(), quantiles: createQuantiles(params) });
+
+const cutoffsOf = params => [...new Set([0.5, ...params.regionPercentiles, ...params.anomalyPercentiles])]
+    .sort((a, b) => a - b);
+
+const cutoffKey = q => q === 0.5 ? "median" : `p${pctLabel(q)}`;
+
+const summarize = (group, cutoffs) => ({
+    count: group.stats.count,
+    mean: group.stats.mean,
+    std: group.stats.std,
+    min: group.stats.min,
+    max: group.stats.max,
+    ...Object.fromEntries(cutoffs.map(q => [cutoffKey(q), group.quantiles.quantile(q)]))
+});
+
+// One pass over every input file without holding the points: rows are
+// validated, filtered and folded into global, region and sensor groups as
+// they are read. Calibration needs overlapping series and is not applied;
+// duplicate rows are not detected.
+export function aggregateInputs(params, dir = INPUT_DIR, exclude = []) {
+    const skip = new Set(exclude.map(f => path.normalize(f)));
+    const keep = matchesFilters(params);
+    const schema = schemaFor(params);
+    const metrics = {};
+    const rules = {};
+    let inputRows = 0, validRows = 0, keptRows = 0;
+
+    const groupsOf = field => metrics[field] ??= { global: newGroup(params), regions: new Map(), sensors: new Map() };
+    const add = (map, key, extra) => {
+        if (!map.has(key)) map.set(key, { ...extra, ...newGroup(params) });
+        return map.get(key);
+    };
+    const flag = rule => { rules[rule] = (rules[rule] ?? 0) + 1; };
+
+    const files = discoverInputFiles(dir)
+        .filter(full => !skip.has(path.relative(dir, full)))
+        .map(full => {
+            const file = path.relative(dir, full);
+            let points = 0;
+            try {
+                const { format, rejected } = forEachPoint(full, p => {
+                    points++;
+                    inputRows++;
+                    if (params.validationMode !== "off") {
+                        const broken = checkPoint(p, params, schema);
+                        if (broken.length) {
+                            broken.forEach(flag);
+                            return;
+                        }
+                    }
+                    validRows++;
+                    if (!keep(p)) return;
+                    keptRows++;
+
+                    metricsOf(p, params).forEach(field => {
+                        const v = p[field];
+                        const g = groupsOf(field);
+                        const region = add(g.regions, String(p.region));
+                        const sensor = add(g.sensors, String(p.sensorId), { region: p.region });
+                        [g.global, region, sensor].forEach(x => {
+                            x.stats.push(v);
+                            x.quantiles.push(v);
+                        });
+                    });
+                }, () => {
+                    inputRows++;
+                    flag("timestamp:createdAt");
+                });
+                return { file, format, points, rejected };
+            } catch (e) {
+                return { file, error: e.message };
+            }
+        });
+
+    logLoadIssues(files);
+    const cutoffs = cutoffsOf(params);
+    const approximate = params.quantileMode === "approximate";
+    console.log(`🌊 Streamed ${inputRows} rows from ${files.length} file(s), ${keptRows} aggregated`);
+    return {
+        quantileMode: params.quantileMode,
+        ...(approximate && {
+            compression: params.quantileCompression,
+            // Worst-case |estimated rank - q| as a share of the group's count
+            rankErrorBound: Object.fromEntries(cutoffs.map(q => [cutoffKey(q), rankErrorBound(q, params.quantileCompression)]))
+        }),
+        files,
+        inputRows,
+        validRows,
+        rejectedRows: inputRows - validRows,
+        rules,
+        aggregatedRows: keptRows,
+        metrics: Object.fromEntries(Object.entries(metrics).map(([field, g]) => [field, {
+            global: summarize(g.global, cutoffs),
+            regions: [...g.regions].map(([region, x]) => ({ region, ...summarize(x, cutoffs) })),
+            sensors: [...g.sensors].map(([sensorId, x]) => ({ sensorId, region: x.region, ...summarize(x, cutoffs) }))
+        }]))
+    };
+}
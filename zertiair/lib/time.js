@@ -0,0 +1,92 @@
+export const MINUTE_MS = 60000;
+export const HOUR_MS = 60 * MINUTE_MS;
+export const DAY_MS = 24 * HOUR_MS;
+
+/* =========================
+   Local time (IANA zones via Intl, DST-aware)
+========================= */
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+export const isValidTimezone = tz => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const formatterFor = tz => {
+    if (!formatters.has(tz)) {
+        formatters.set(tz, new Intl.DateTimeFormat("en-US", {
+            timeZone: tz,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            weekday: "short"
+        }));
+    }
+    return formatters.get(tz);
+};
+
+// Wall-clock fields of `date` in `tz`. `hour` is fractional (07:30 -> 7.5),
+// `weekday` is 0 = Sunday, `date` is the local "YYYY-MM-DD".
+export function localTime(date, tz = "UTC") {
+    if (tz === "UTC") {
+        return {
+            date: date.toISOString().slice(0, 10),
+            hour: date.getUTCHours() + date.getUTCMinutes() / 60,
+            weekday: date.getUTCDay()
+        };
+    }
+    const f = {};
+    formatterFor(tz).formatToParts(date).forEach(({ type, value }) => { f[type] = value; });
+    return {
+        date: `${f.year}-${f.month}-${f.day}`,
+        hour: Number(f.hour) + Number(f.minute) / 60,
+        weekday: WEEKDAYS[f.weekday]
+    };
+}
+
+/* =========================
+   Sunrise / sunset (offline)
+========================= */
+
+const RAD = Math.PI / 180;
+const J2000 = 2451545;
+const toJulian = ms => ms / DAY_MS + 2440587.5;
+
+// Sunrise equation (NOAA simplified, ~1 min accuracy) for the solar day whose
+// transit is closest to `ms`. Longitude is east-positive. Returns Julian dates;
+// `polar` is "day" or "night" when the sun never sets or never rises.
+export function sunTimes(ms, latitude, longitude) {
+    const n = Math.round(toJulian(ms) - J2000 + longitude / 360);
+    const jStar = n - longitude / 360;
+    const M = (357.5291 + 0.98560028 * jStar) % 360;
+    const C = 1.9148 * Math.sin(M * RAD) + 0.02 * Math.sin(2 * M * RAD) + 0.0003 * Math.sin(3 * M * RAD);
+    const lambda = (M + C + 180 + 102.9372) % 360;
+    const transit = J2000 + jStar + 0.0053 * Math.sin(M * RAD) - 0.0069 * Math.sin(2 * lambda * RAD);
+
+    const sinDecl = Math.sin(lambda * RAD) * Math.sin(23.4397 * RAD);
+    const cosDecl = Math.cos(Math.asin(sinDecl));
+    const cosOmega = (Math.sin(-0.833 * RAD) - Math.sin(latitude * RAD) * sinDecl) /
+        (Math.cos(latitude * RAD) * cosDecl);
+
+    if (cosOmega < -1) return { polar: "day", transit };
+    if (cosOmega > 1) return { polar: "night", transit };
+
+    const half = Math.acos(cosOmega) / RAD / 360;
+    return { sunrise: transit - half, sunset: transit + half, transit };
+}
+
+export function isSunUp(date, latitude, longitude) {
+    const s = sunTimes(date.getTime(), latitude, longitude);
+    if (s.polar) return s.polar === "day";
+    const j = toJulian(date.getTime());
+    return j >= s.sunrise && j < s.sunset;
+}
@@ -0,0 +1,147 @@
+import { canonicalize } from "./output.js";
+import { DEFAULT_METRIC } from "./metrics.js";
+
+/* =========================
+   Point schema
+========================= */
+
+// Rows failing any rule are dropped (or quarantined) before analytics run.
+// `range` bounds are hard measurement limits, not plausibility thresholds;
+// the loader's `ts` gets its range from params.validationTimeRange, so a
+// reading dated 1970 cannot stretch every resampling grid over decades.
+export const POINT_SCHEMA = {
+    ts: { required: true, types: ["object"] },
+    sensorId: { required: true, types: ["string", "number"] },
+    region: { required: true, types: ["string", "number"] },
+    co2ppm: { required: true, types: ["number"], range: [0, 40000] },
+    sensorBatteryPercentage: { required: false, types: ["number"], range: [0, 100] }
+};
+
+// Calibration reference rows may omit sensorId and region (they then apply
+// to every region), the reading itself is still required
+export const REFERENCE_SCHEMA = {
+    ...POINT_SCHEMA,
+    sensorId: { ...POINT_SCHEMA.sensorId, required: false },
+    region: { ...POINT_SCHEMA.region, required: false }
+};
+
+// The schema for the analysed metrics: co2ppm is only required when it is
+// one of them ("all" requires none); other listed metrics must be numbers
+// when present. Without a `metrics` parameter the base schema applies.
+export function schemaFor(params, base = POINT_SCHEMA) {
+    if (!params.metrics) return base;
+    const listed = params.metrics === "all" ? [] : params.metrics;
+    const schema = { ...base, [DEFAULT_METRIC]: { ...base[DEFAULT_METRIC], required: listed.includes(DEFAULT_METRIC) } };
+    listed.forEach(field => { schema[field] ??= { required: false, types: ["number"] }; });
+    return schema;
+}
+
+const isMissing = v => v === undefined || v === null || v === "";
+
+const typeOf = v => typeof v === "number" && !Number.isFinite(v) ? "non-finite" : typeof v;
+
+// Rules a row breaks, e.g. ["missing:region", "range:co2ppm"]
+function checkRow(p, schema, ranges) {
+    const broken = [];
+    Object.entries(schema).forEach(([field, rule]) => {
+        const v = p[field];
+        if (isMissing(v)) {
+            if (rule.required) broken.push(`missing:${field}`);
+            return;
+        }
+        if (!rule.types.includes(typeOf(v))) {
+            broken.push(`type:${field}`);
+            return;
+        }
+        const range = ranges[field] ?? rule.range;
+        if (range && (v < range[0] || v > range[1])) broken.push(`range:${field}`);
+    });
+    return broken;
+}
+
+// Schema limits with the job's overrides, ts limited to the plausible time range
+const rangesOf = params => ({ ts: params.validationTimeRange, ...params.validationRanges });
+
+// Rules a point breaks, for callers validating one row at a time (the
+// streaming path, which has no duplicate check)
+export const checkPoint = (p, params, schema = POINT_SCHEMA) => checkRow(p, schema, rangesOf(params));
+
+// Strips the loader's Date so samples show the row as it was read
+const sampleOf = (p, file) => {
+    const { ts, ...row } = p;
+    return file ? { file, ...row } : row;
+};
+
+// Code-unit order, so reports do not depend on the locale
+const compareText = (a, b) => a === b ? 0 : a < b ? -1 : 1;
+
+// The row's full content, the last resort to order otherwise equal rows
+const contentOf = row => JSON.stringify(canonicalize(row));
+
+// Rejected rows by sensorId, timestamp, file and content: samples and the
+// quarantine file do not depend on the input order
+const compareRejected = (a, b) =>
+    compareText(String(a.row.sensorId ?? ""), String(b.row.sensorId ?? "")) ||
+    (a.ts ?? -Infinity) - (b.ts ?? -Infinity) ||
+    compareText(a.row.file ?? "", b.row.file ?? "") ||
+    compareText(contentOf(a.row), contentOf(b.row));
+
+/* =========================
+   Validation stage
+========================= */
+
+// `invalid` are the loader's rows without a parseable timestamp. Of rows
+// sharing sensorId + timestamp the one first in content order is kept,
+// whatever order the inputs came in; valid points keep the input order.
+export function validatePoints(points, invalid, params, schema = POINT_SCHEMA) {
+    if (params.validationMode === "off") {
+        return { points, quarantined: [], report: { mode: "off" } };
+    }
+
+    const rejected = invalid.map(({ file, row }) => ({ rules: ["timestamp:createdAt"], row: sampleOf(row, file) }));
+    const reject = (p, broken) => rejected.push({ rules: broken, row: sampleOf(p), ts: p.ts.getTime() });
+
+    const ranges = rangesOf(params);
+    const kept = new Map();
+    points.forEach(p => {
+        const broken = checkRow(p, schema, ranges);
+        if (broken.length) {
+            reject(p, broken);
+            return;
+        }
+        const key = `${p.sensorId}|${p.ts.getTime()}`;
+        const other = kept.get(key);
+        if (!other) kept.set(key, p);
+        else {
+            const keepNew = contentOf(sampleOf(p)) < contentOf(sampleOf(other));
+            reject(keepNew ? other : p, ["duplicate:sensorId+timestamp"]);
+            if (keepNew) kept.set(key, p);
+        }
+    });
+    const valid = points.filter(p => kept.get(`${p.sensorId}|${p.ts.getTime()}`) === p);
+
+    rejected.sort(compareRejected);
+    const rules = {};
+    rejected.forEach(({ rules: broken, row }) => broken.forEach(rule => {
+        const r = rules[rule] ??= { count: 0, samples: [] };
+        r.count++;
+        if (r.samples.length < params.validationSamples) r.samples.push(row);
+    }));
+    const quarantined = rejected.map(({ rules: broken, row }) => ({ rules: broken, row }));
+
+    const report = {
+        mode: params.validationMode,
+        schema,
+        rangeOverrides: params.validationRanges,
+        inputRows: points.length + invalid.length,
+        validRows: valid.length,
+        rejectedRows: quarantined.length,
+        rules
+    };
+
+    if (quarantined.length) {
+        console.log(`🧹 Validation rejected ${quarantined.length} of ${report.inputRows} rows:`,
+            Object.entries(rules).map(([r, v]) => `${r}=${v.count}`).join(", "));
+    }
+    return { points: valid, quarantined, report };
+}
@@ -1,92 +1,4 @@
-import fs from "fs";
-import path from "path";
+import { runPreset } from "./lib/runner.js";
+import "./modules/sensor_co2.js";
 
-const INPUT_DIR = "/data/inputs";
-const OUTPUT_DIR = "/data/outputs";
-const OUTPUT_FILE = path.join(OUTPUT_DIR, "analytics.json");
-
-/* =========================
-   Utils (cheap & reusable)
-========================= */
-
-const parseDate = d => new Date(d.replace(" ", "T") + "Z");
-
-const percentile = (arr, p) => {
-    if (!arr.length) return null;
-    const s = [...arr].sort((a, b) => a - b);
-    const i = (s.length - 1) * p;
-    const lo = Math.floor(i), hi = Math.ceil(i);
-    return lo === hi ? s[lo] : s[lo] + (s[hi] - s[lo]) * (i - lo);
-};
-
-const avg = a => a.length ? a.reduce((s, v) => s + v, 0) / a.length : 0;
-const std = a => {
-    if (a.length < 2) return 0;
-    const m = avg(a);
-    return Math.sqrt(avg(a.map(v => (v - m) ** 2)));
-};
-
-/* =========================
-   Load & normalize data
-========================= */
-
-function loadAllPoints() {
-    const points = [];
-    fs.readdirSync(INPUT_DIR).forEach(f => {
-        const data = JSON.parse(fs.readFileSync(path.join(INPUT_DIR, f), "utf8"));
-        if (Array.isArray(data)) points.push(...data);
-    });
-    return points.map(p => ({
-        ...p,
-        ts: parseDate(p.createdAt)
-    }));
-}
-
-/* =========================
-   3) Sensor CO₂ Analytics
-========================= */
-
-function localCO2Analytics(points) {
-    const bySensor = {};
-    points.forEach(p => {
-        (bySensor[p.sensorId] ??= []).push(p.co2ppm);
-    });
-
-    const globalMedian =
-        percentile(points.map(p => p.co2ppm), 0.5);
-
-    const sensors = Object.entries(bySensor).map(([id, vals]) => ({
-        sensorId: id,
-        mean: avg(vals),
-        median: percentile(vals, 0.5),
-        std: std(vals),
-        volatility: std(vals) / (avg(vals) || 1),
-        p01: percentile(vals, 0.01),
-        p99: percentile(vals, 0.99),
-        relativeToGlobal:
-            avg(vals) - globalMedian
-    }));
-
-    console.log("📡 Sensor CO₂ analytics done");
-    return sensors;
-}
-
-/* =========================
-   MAIN
-========================= */
-
-try {
-    const points = loadAllPoints();
-    console.log("📥 Loaded points:", points.length);
-
-    const result = localCO2Analytics(points);
-
-    fs.writeFileSync(
-        OUTPUT_FILE,
-        JSON.stringify(result, null, 2)
-    );
-
-    console.log("✅ Analytics complete");
-} catch (e) {
-    console.log("❌ Error:", e.message);
-}
+runPreset("sensorAnalytics");
@@ -0,0 +1,193 @@
+import { registerModule } from "../lib/registry.js";
+import { pctLabel } from "../lib/params.js";
+import { bySensorSorted, SortedWindow } from "../lib/series.js";
+import { DEFAULT_METRIC, metricResolution, perMetric } from "../lib/metrics.js";
+import { percentile, avg, std, minOf, maxOf } from "../lib/stats.js";
+
+const MAD_TO_SIGMA = 1.4826;
+
+const DEFAULT_THRESHOLDS = { mad: 3.5, zscore: 3 };
+
+/* =========================
+   Per-sensor rolling detection
+========================= */
+
+// Scores each reading against the `window` readings before it on the same
+// sensor. "mad" uses rolling median / MAD (robust), "zscore" rolling mean / std.
+// The spread is floored at the metric's resolution so a perfectly flat window
+// does not turn every smallest change into an anomaly.
+function scoreSensor(ps, method, window, field) {
+    const scored = [];
+    const values = new SortedWindow(window);
+    const minFill = Math.max(3, Math.ceil(window / 2));
+    const minScale = metricResolution(field);
+
+    ps.forEach(p => {
+        const v = p[field];
+        if (typeof v !== "number" || !Number.isFinite(v)) return;
+
+        if (values.length >= minFill) {
+            let expected, scale;
+            if (method === "mad") {
+                expected = values.median();
+                scale = percentile(values.sorted.map(x => Math.abs(x - expected)), 0.5) * MAD_TO_SIGMA;
+            } else {
+                expected = avg(values.sorted);
+                scale = std(values.sorted);
+            }
+            scored.push({ p, expected, score: (v - expected) / Math.max(scale, minScale) });
+        }
+        values.push(v);
+    });
+    return scored;
+}
+
+export function detectRollingAnomalies(points, params, field = DEFAULT_METRIC) {
+    const method = params.anomalyMethod;
+    const window = params.anomalyWindow;
+    const threshold = params.anomalyThreshold ?? DEFAULT_THRESHOLDS[method];
+
+    const anomalies = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        scoreSensor(ps, method, window, field).forEach(({ p, expected, score }) => {
+            if (Math.abs(score) < threshold) return;
+            anomalies.push({
+                sensorId,
+                region: p.region,
+                timestamp: p.ts.toISOString(),
+                value: p[field],
+                expected,
+                score,
+                direction: score > 0 ? "high" : "low"
+            });
+        });
+    });
+
+    return { method, window, threshold, anomalies };
+}
+
+/* =========================
+   Episodes
+========================= */
+
+// Merges a sensor's anomalous readings into one episode while they keep the
+// same direction and are at most maxGapMs apart.
+export function groupEpisodes(anomalies, maxGapMs) {
+    const episodes = [];
+    let cur = null;
+
+    const close = () => {
+        if (!cur) return;
+        const excess = cur.readings.map(a => a.value - a.expected);
+        const values = cur.readings.map(a => a.value);
+        episodes.push({
+            sensorId: cur.sensorId,
+            region: cur.region,
+            direction: cur.direction,
+            start: cur.readings[0].timestamp,
+            end: cur.readings.at(-1).timestamp,
+            durationMinutes: (cur.last - cur.first) / 60000,
+            peak: cur.direction === "high" ? maxOf(values) : minOf(values),
+            meanExcess: avg(excess),
+            readings: cur.readings.length
+        });
+        cur = null;
+    };
+
+    anomalies.forEach(a => {
+        const t = Date.parse(a.timestamp);
+        if (!cur || cur.sensorId !== a.sensorId || cur.direction !== a.direction || t - cur.last > maxGapMs) {
+            close();
+            cur = { sensorId: a.sensorId, region: a.region, direction: a.direction, first: t, last: t, readings: [] };
+        }
+        cur.readings.push(a);
+        cur.last = t;
+    });
+    close();
+    return episodes;
+}
+
+const episodeStats = episodes => {
+    const durations = episodes.map(e => e.durationMinutes);
+    return {
+        episodes: episodes.length,
+        totalMinutes: durations.reduce((s, d) => s + d, 0),
+        meanMinutes: avg(durations),
+        medianMinutes: percentile(durations, 0.5),
+        maxMinutes: durations.length ? maxOf(durations) : 0
+    };
+};
+
+const summarizeEpisodes = (episodes, key) => {
+    const groups = {};
+    episodes.forEach(e => { (groups[e[key]] ??= []).push(e); });
+    return Object.fromEntries(
+        Object.entries(groups).map(([k, es]) => [k, episodeStats(es)])
+    );
+};
+
+/* =========================
+   Advanced Anomalies
+========================= */
+
+// Cutoff keys keep their historical "co2" prefix for co2ppm
+// Code-unit order like bySensorSorted and canonical output, not the locale's
+const codeUnitOrder = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+const bySensorThenTime = (a, b) =>
+    codeUnitOrder(String(a.sensorId), String(b.sensorId)) || codeUnitOrder(a.timestamp, b.timestamp);
+
+const cutoffKey = (field, q) => `${field === DEFAULT_METRIC ? "co2" : field}P${pctLabel(q)}`;
+
+function anomalyReport(points, params, field) {
+    const [lo, hi] = params.anomalyPercentiles;
+    const values = points.map(p => p[field]);
+    const low = percentile(values, lo);
+    const high = percentile(values, hi);
+
+    const spikes = points.filter(
+        p => p[field] <= low || p[field] >= high
+    );
+
+    const { method, window, threshold, anomalies } = detectRollingAnomalies(points, params, field);
+    const bySensor = {};
+    anomalies.forEach(a => { bySensor[a.sensorId] = (bySensor[a.sensorId] ?? 0) + 1; });
+
+    // Keep the strongest readings when capped, listed per sensor in time order
+    const listed = anomalies.length > params.maxAnomalies
+        ? [...anomalies]
+            .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+            .slice(0, params.maxAnomalies)
+            .sort(bySensorThenTime)
+        : anomalies;
+
+    const maxGap = params.episodeMaxGapMinutes;
+    const episodes = groupEpisodes(anomalies, maxGap * 60000);
+
+    console.log("🚨 Rolling anomalies detected:", anomalies.length, "in", episodes.length, "episodes", `(${field})`);
+    return {
+        [cutoffKey(field, lo)]: low,
+        [cutoffKey(field, hi)]: high,
+        spikeCount: spikes.length,
+        rolling: {
+            method,
+            window,
+            threshold,
+            anomalyCount: anomalies.length,
+            bySensor,
+            truncated: listed.length < anomalies.length,
+            anomalies: listed
+        },
+        episodes: {
+            maxGapMinutes: maxGap,
+            ...episodeStats(episodes),
+            bySensor: summarizeEpisodes(episodes, "sensorId"),
+            byRegion: summarizeEpisodes(episodes, "region"),
+            list: episodes
+        }
+    };
+}
+
+export const advancedAnomalies = (points, params) =>
+    perMetric(points, params, (field, ps) => anomalyReport(ps, params, field));
+
+registerModule("advancedAnomalies", advancedAnomalies);
@@ -0,0 +1,11 @@
+import { registerModule } from "../lib/registry.js";
+
+/* =========================
+   Calibration report
+========================= */
+
+// Calibration itself runs in the pipeline before every module (lib/calibration.js);
+// this module only surfaces its fitted coefficients and residuals.
+export const calibrationReport = (points, params, context) => context.calibration;
+
+registerModule("calibration", calibrationReport);
@@ -0,0 +1,139 @@
+import { registerModule } from "../lib/registry.js";
+import { bySensorSorted, resample, interpolateGaps, BUCKETS, PERIODS } from "../lib/series.js";
+import { avg, std } from "../lib/stats.js";
+import { welchTTest } from "../lib/hypothesis.js";
+import { HOUR_MS } from "../lib/time.js";
+
+/* =========================
+   PELT (normal mean + variance)
+========================= */
+
+// Segment cost -2 log L up to constants: n log(variance), with a variance
+// floor so flat (e.g. stuck) stretches do not cost -Infinity.
+function segmentCost(ys) {
+    const s1 = [0], s2 = [0];
+    ys.forEach(v => {
+        s1.push(s1.at(-1) + v);
+        s2.push(s2.at(-1) + v * v);
+    });
+    const total = s2.at(-1) / ys.length - (s1.at(-1) / ys.length) ** 2;
+    const floor = Math.max(total * 1e-6, 1e-9);
+    return (a, b) => {
+        const n = b - a;
+        const mean = (s1[b] - s1[a]) / n;
+        return n * Math.log(Math.max((s2[b] - s2[a]) / n - mean * mean, floor));
+    };
+}
+
+// Optimal partition of ys into segments of at least minSeg values, each
+// change costing `penalty`; returns the indices where new segments start.
+export function pelt(ys, penalty, minSeg) {
+    const n = ys.length;
+    const cost = segmentCost(ys);
+    const F = new Array(n + 1).fill(Infinity);
+    const last = new Array(n + 1).fill(0);
+    F[0] = -penalty;
+    let candidates = [0];
+
+    for (let t = minSeg; t <= n; t++) {
+        if (t - minSeg >= minSeg) candidates.push(t - minSeg);
+        const totals = candidates.map(tau => F[tau] + cost(tau, t) + penalty);
+        totals.forEach((v, k) => {
+            if (v < F[t]) {
+                F[t] = v;
+                last[t] = candidates[k];
+            }
+        });
+        // Candidates that cannot beat t from here on are dropped
+        candidates = candidates.filter((_, k) => totals[k] - penalty <= F[t]);
+    }
+
+    const changes = [];
+    for (let t = last[n]; t > 0; t = last[t]) changes.unshift(t);
+    return changes;
+}
+
+/* =========================
+   Change-point Detection
+========================= */
+
+// Subtracts the mean value of each time-of-day bucket
+function deseasonalize(ts, ys, bucketMs) {
+    const m = PERIODS.daily / bucketMs;
+    const phase = i => Math.floor((ts[i] % PERIODS.daily) / bucketMs);
+    const sums = new Array(m).fill(0), counts = new Array(m).fill(0);
+    ys.forEach((v, i) => {
+        sums[phase(i)] += v;
+        counts[phase(i)]++;
+    });
+    return ys.map((v, i) => v - sums[phase(i)] / counts[phase(i)]);
+}
+
+function describe(vals) {
+    return { mean: avg(vals), std: std(vals) };
+}
+
+export function changepointAnalytics(points, params) {
+    const bucketMs = BUCKETS[params.changepointBucket];
+    const minSeg = Math.max(2, Math.round(params.changepointMinSegmentHours * HOUR_MS / bucketMs));
+
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const grid = resample(ps, bucketMs);
+        const base = { sensorId, region: ps[0].region, buckets: grid.length };
+        if (grid.length < 2 * minSeg) {
+            sensors.push({ ...base, status: "too-short", changePoints: [] });
+            return;
+        }
+
+        const ts = grid.map(b => b.t);
+        const ys = interpolateGaps(grid);
+        // Daily cycles would otherwise read as a change every morning
+        const seasonal = params.changepointDeseasonalize && PERIODS.daily / bucketMs >= 2 &&
+            grid.length * bucketMs >= 2 * PERIODS.daily;
+        const searched = seasonal ? deseasonalize(ts, ys, bucketMs) : ys;
+        const penalty = params.changepointPenalty * Math.log(ys.length);
+        const starts = pelt(searched, penalty, minSeg);
+
+        const bounds = [0, ...starts, ys.length];
+        const segments = bounds.slice(0, -1).map((a, k) => ({
+            start: new Date(ts[a]).toISOString(),
+            end: new Date(ts[bounds[k + 1] - 1] + bucketMs).toISOString(),
+            buckets: bounds[k + 1] - a,
+            ...describe(ys.slice(a, bounds[k + 1]))
+        }));
+
+        // Confidence from a Welch test between the adjacent (deseasonalized)
+        // segments; buckets are autocorrelated, so treat it as a ranking aid
+        // rather than an exact probability.
+        const changePoints = starts.map((at, k) => {
+            const before = searched.slice(bounds[k], at), after = searched.slice(at, bounds[k + 2]);
+            const test = welchTTest(before, after);
+            const b = segments[k], a = segments[k + 1];
+            return {
+                at: new Date(ts[at]).toISOString(),
+                meanBefore: b.mean,
+                meanAfter: a.mean,
+                shift: a.mean - b.mean,
+                stdBefore: b.std,
+                stdAfter: a.std,
+                varianceRatio: b.std ? (a.std / b.std) ** 2 : null,
+                pValue: test.p,
+                confidence: 1 - test.p
+            };
+        });
+
+        sensors.push({ ...base, status: "ok", deseasonalized: seasonal, changePoints, segments });
+    });
+
+    console.log("📍 Change points found:", sensors.reduce((s, x) => s + x.changePoints.length, 0),
+        "across", sensors.length, "sensors");
+    return {
+        bucket: params.changepointBucket,
+        penalty: params.changepointPenalty,
+        minSegmentHours: params.changepointMinSegmentHours,
+        sensors
+    };
+}
+
+registerModule("changepointAnalytics", changepointAnalytics);
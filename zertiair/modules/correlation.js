@@ -0,0 +1,104 @@
+import { registerModule } from "../lib/registry.js";
+import { bySensorSorted, resample, BUCKETS } from "../lib/series.js";
+import { pearson, spearman } from "../lib/stats.js";
+
+/* =========================
+   Aligned series
+========================= */
+
+// bucket start (ms) -> value, for the buckets that have readings
+const alignedSeries = (ps, bucketMs) => new Map(
+    resample(ps, bucketMs).filter(b => b.count).map(b => [b.t, b.value])
+);
+
+// Values of a and b over buckets both have, b shifted by `lag` buckets
+function overlap(a, b, bucketMs, lag = 0) {
+    const xs = [], ys = [];
+    a.forEach((v, t) => {
+        const w = b.get(t + lag * bucketMs);
+        if (w !== undefined) {
+            xs.push(v);
+            ys.push(w);
+        }
+    });
+    return { xs, ys };
+}
+
+// Lag (in buckets) with the strongest Pearson r; positive = b follows a
+function bestLag(a, b, bucketMs, maxLag, minOverlap) {
+    let best = null;
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+        const { xs, ys } = overlap(a, b, bucketMs, lag);
+        if (xs.length < minOverlap) continue;
+        const r = pearson(xs, ys);
+        if (r !== null && (!best || r > best.r)) best = { lag, r };
+    }
+    return best && { lagMinutes: best.lag * bucketMs / 60000, r: best.r };
+}
+
+/* =========================
+   Redundancy clusters
+========================= */
+
+// Connected components of the graph whose edges are pairs with r >= threshold
+function clusters(ids, pairs, threshold) {
+    const parent = new Map(ids.map(id => [id, id]));
+    const find = id => parent.get(id) === id ? id : find(parent.get(id));
+    pairs.filter(p => p.pearson !== null && p.pearson >= threshold)
+        .forEach(p => parent.set(find(p.a), find(p.b)));
+
+    const groups = {};
+    ids.forEach(id => { (groups[find(id)] ??= []).push(id); });
+    return Object.values(groups).map(g => g.sort());
+}
+
+export function correlationAnalytics(points, params) {
+    const bucketMs = BUCKETS[params.correlationBucket];
+    const minOverlap = params.correlationMinOverlap;
+    const threshold = params.redundancyThreshold;
+
+    const byRegion = {};
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        (byRegion[ps[0].region] ??= []).push({ sensorId, series: alignedSeries(ps, bucketMs) });
+    });
+
+    const regions = Object.entries(byRegion).map(([region, sensors]) => {
+        const pairs = [];
+        for (let i = 0; i < sensors.length; i++) {
+            for (let j = i + 1; j < sensors.length; j++) {
+                const a = sensors[i], b = sensors[j];
+                const { xs, ys } = overlap(a.series, b.series, bucketMs);
+                const enough = xs.length >= minOverlap;
+                pairs.push({
+                    a: a.sensorId,
+                    b: b.sensorId,
+                    overlap: xs.length,
+                    pearson: enough ? pearson(xs, ys) : null,
+                    spearman: enough ? spearman(xs, ys) : null,
+                    bestLag: bestLag(a.series, b.series, bucketMs, params.correlationMaxLag, minOverlap)
+                });
+            }
+        }
+
+        const ids = sensors.map(s => s.sensorId);
+        const groups = clusters(ids, pairs, threshold);
+        return {
+            region,
+            sensors: ids,
+            pairs,
+            redundantClusters: groups.filter(g => g.length > 1),
+            independentSensors: groups.filter(g => g.length === 1).map(g => g[0])
+        };
+    });
+
+    console.log("🔗 Correlation computed for", regions.length, "regions");
+    return {
+        bucket: params.correlationBucket,
+        minOverlap,
+        maxLagBuckets: params.correlationMaxLag,
+        redundancyThreshold: threshold,
+        regions
+    };
+}
+
+registerModule("correlationAnalytics", correlationAnalytics);
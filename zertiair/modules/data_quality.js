@@ -0,0 +1,11 @@
+import { registerModule } from "../lib/registry.js";
+
+/* =========================
+   Data-quality report
+========================= */
+
+// Validation runs in the pipeline before every module (lib/validation.js);
+// this module surfaces its rule violations next to the analytics.
+export const dataQualityReport = (points, params, context) => context.dataQuality;
+
+registerModule("dataQuality", dataQualityReport);
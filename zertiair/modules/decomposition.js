@@ -0,0 +1,150 @@
+import { registerModule } from "../lib/registry.js";
+import { bucketedSeries, interpolateGaps, BUCKETS, PERIODS } from "../lib/series.js";
+import { linearFit, minOf, maxOf, variance, std } from "../lib/stats.js";
+import { DAY_MS, HOUR_MS } from "../lib/time.js";
+
+// 1970-01-05 was a Monday, so weekly phases start on Monday 00:00 UTC
+const PHASE_ORIGIN = 4 * DAY_MS;
+const BACKFIT_ROUNDS = 3;
+
+// Share of var(component + residual) the component explains (Wang et al. 2006)
+const strength = (component, residual) => {
+    const both = variance(component.map((c, i) => c + residual[i]));
+    return both ? Math.max(0, 1 - variance(residual) / both) : 0;
+};
+
+/* =========================
+   Classical decomposition
+========================= */
+
+// Centered moving average over `m` buckets (2 x m when m is even); null where
+// the window does not fit.
+function centeredAverage(ys, m) {
+    const half = Math.floor(m / 2);
+    const prefix = [0];
+    ys.forEach(v => prefix.push(prefix.at(-1) + v));
+    const sum = (a, b) => prefix[b + 1] - prefix[a];
+
+    return ys.map((_, i) => {
+        if (i - half < 0 || i + half >= ys.length) return null;
+        if (m % 2) return sum(i - half, i + half) / m;
+        return (sum(i - half + 1, i + half - 1) + (ys[i - half] + ys[i + half]) / 2) / m;
+    });
+}
+
+// Trend from a moving average over the longest period, then each seasonal
+// profile as the mean by phase of what the trend and the other profiles leave,
+// re-estimated a few rounds so overlapping periods (daily within weekly) settle.
+export function decompose(ts, ys, bucketMs, periods) {
+    const longest = Math.max(...periods.map(p => PERIODS[p] / bucketMs));
+    const trend = centeredAverage(ys, longest);
+    const inner = ys.map((_, i) => i).filter(i => trend[i] !== null);
+
+    const seasonal = {};
+    const phaseOf = {};
+    periods.forEach(p => {
+        const m = PERIODS[p] / bucketMs;
+        phaseOf[p] = i => Math.floor(((ts[i] - PHASE_ORIGIN) % PERIODS[p]) / bucketMs);
+        seasonal[p] = { m, profile: new Array(m).fill(0) };
+    });
+    const otherSeasonal = (i, skip) => periods.reduce(
+        (s, p) => p === skip ? s : s + seasonal[p].profile[phaseOf[p](i)], 0);
+
+    for (let round = 0; round < BACKFIT_ROUNDS; round++) {
+        periods.forEach(p => {
+            const { m } = seasonal[p];
+            const sums = new Array(m).fill(0), counts = new Array(m).fill(0);
+            inner.forEach(i => {
+                const k = phaseOf[p](i);
+                sums[k] += ys[i] - trend[i] - otherSeasonal(i, p);
+                counts[k]++;
+            });
+            const profile = sums.map((s, k) => counts[k] ? s / counts[k] : 0);
+            const mean = profile.reduce((s, v) => s + v, 0) / m;
+            seasonal[p].profile = profile.map(v => v - mean);
+        });
+    }
+
+    const components = ys.map((y, i) => {
+        const s = Object.fromEntries(periods.map(p => [p, seasonal[p].profile[phaseOf[p](i)]]));
+        const total = Object.values(s).reduce((a, v) => a + v, 0);
+        return {
+            trend: trend[i],
+            seasonal: s,
+            residual: trend[i] === null ? null : y - trend[i] - total
+        };
+    });
+    return { components, inner, seasonal };
+}
+
+/* =========================
+   Seasonal Decomposition
+========================= */
+
+function decomposeSeries(grid, params) {
+    const bucketMs = BUCKETS[params.decompositionBucket];
+    const spanMs = grid.length * bucketMs;
+
+    // A period needs at least two buckets per cycle and two full cycles of data
+    const periods = params.decompositionPeriods.filter(p =>
+        PERIODS[p] / bucketMs >= 2 && spanMs >= 2 * PERIODS[p]);
+    const skippedPeriods = params.decompositionPeriods.filter(p => !periods.includes(p));
+    const base = {
+        buckets: grid.length,
+        interpolatedPct: grid.length ? grid.filter(b => !b.count).length / grid.length * 100 : 0,
+        skippedPeriods
+    };
+    if (!periods.length) return { ...base, status: "too-short" };
+
+    const ts = grid.map(b => b.t);
+    const ys = interpolateGaps(grid);
+    const { components, inner, seasonal } = decompose(ts, ys, bucketMs, periods);
+
+    const residual = inner.map(i => components[i].residual);
+    const trendFit = linearFit(inner.map(i => (ts[i] - ts[0]) / DAY_MS), inner.map(i => components[i].trend));
+
+    return {
+        ...base,
+        status: "ok",
+        trendStrength: strength(inner.map(i => components[i].trend), residual),
+        trendSlopePerDay: trendFit ? trendFit.slope : null,
+        residualStd: std(residual),
+        // profile[k] is the offset k buckets after midnight (daily) or Monday
+        // midnight (weekly), UTC
+        seasonality: periods.map(p => {
+            const { profile } = seasonal[p];
+            const peak = profile.indexOf(maxOf(profile));
+            return {
+                period: p,
+                strength: strength(inner.map(i => components[i].seasonal[p]), residual),
+                amplitude: maxOf(profile) - minOf(profile),
+                peakOffsetHours: peak * bucketMs / HOUR_MS,
+                profile
+            };
+        }),
+        ...(params.includeSeries && {
+            components: components.map((c, i) => ({
+                t: new Date(ts[i]).toISOString(),
+                value: ys[i],
+                interpolated: !grid[i].count,
+                ...c
+            }))
+        })
+    };
+}
+
+export function decompositionAnalytics(points, params) {
+    const series = bucketedSeries(points, BUCKETS[params.decompositionBucket]);
+    const sensors = series.sensors.map(({ grid, ...s }) => ({ ...s, ...decomposeSeries(grid, params) }));
+    const regions = series.regions.map(({ grid, ...r }) => ({ ...r, ...decomposeSeries(grid, params) }));
+
+    console.log("📉 Decomposed", sensors.length, "sensors and", regions.length, "regions");
+    return {
+        bucket: params.decompositionBucket,
+        periods: params.decompositionPeriods,
+        sensors,
+        regions
+    };
+}
+
+registerModule("decompositionAnalytics", decompositionAnalytics);
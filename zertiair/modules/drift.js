@@ -0,0 +1,82 @@
+import { registerModule } from "../lib/registry.js";
+import { regionClock } from "../lib/clock.js";
+import { bySensorSorted } from "../lib/series.js";
+import { localTime, DAY_MS } from "../lib/time.js";
+import { percentile, linearFit } from "../lib/stats.js";
+
+const HALF_DAY_MS = DAY_MS / 2;
+
+/* =========================
+   Baseline drift
+========================= */
+
+// A night runs from one evening to the next morning, so it is keyed by the
+// local date twelve hours earlier.
+const nightKey = (p, timezone) => localTime(new Date(p.ts - HALF_DAY_MS), timezone).date;
+
+function nightlyBaselines(ps, clock, q) {
+    const nights = {};
+    ps.forEach(p => {
+        if (!Number.isFinite(p.co2ppm) || clock.isDay(p)) return;
+        (nights[nightKey(p, clock.timezone)] ??= []).push(p.co2ppm);
+    });
+    return Object.entries(nights)
+        .map(([night, vals]) => ({ night, baseline: percentile(vals, q), readings: vals.length }))
+        .sort((a, b) => a.night.localeCompare(b.night));
+}
+
+export function driftAnalytics(points, params) {
+    const reference = params.driftReferencePpm;
+    const tolerance = params.driftTolerancePpm;
+    const clocks = {};
+
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const region = ps[0].region;
+        const clock = clocks[region] ??= regionClock(params, region);
+        const baselines = nightlyBaselines(ps, clock, params.driftBaselinePercentile);
+
+        const base = { sensorId, region, nights: baselines.length };
+        if (baselines.length < params.driftMinNights) {
+            sensors.push({ ...base, status: "insufficient-data", baselines });
+            return;
+        }
+
+        const t0 = Date.parse(baselines[0].night);
+        const xs = baselines.map(b => (Date.parse(b.night) - t0) / DAY_MS);
+        const fit = linearFit(xs, baselines.map(b => b.baseline));
+        const startBaseline = fit.intercept;
+        const endBaseline = fit.intercept + fit.slope * xs.at(-1);
+        const drift = endBaseline - startBaseline;
+        const offset = endBaseline - reference;
+
+        const reasons = [];
+        if (Math.abs(drift) > tolerance) reasons.push("baseline-moved");
+        if (Math.abs(offset) > tolerance) reasons.push("offset-from-reference");
+
+        sensors.push({
+            ...base,
+            status: reasons.length ? "flagged" : "ok",
+            reasons,
+            slopePpmPerDay: fit.slope,
+            r2: fit.r2,
+            startBaseline,
+            endBaseline,
+            driftPpm: drift,
+            estimatedOffsetPpm: offset,
+            baselines
+        });
+    });
+
+    const flagged = sensors.filter(s => s.status === "flagged").map(s => s.sensorId);
+    console.log("📉 Drift checked for", sensors.length, "sensors,", flagged.length, "flagged");
+    return {
+        referencePpm: reference,
+        tolerancePpm: tolerance,
+        baselinePercentile: params.driftBaselinePercentile,
+        flagged,
+        sensors
+    };
+}
+
+registerModule("driftAnalytics", driftAnalytics);
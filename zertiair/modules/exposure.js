@@ -0,0 +1,98 @@
+import { registerModule } from "../lib/registry.js";
+import { bySensorSorted, withDurations } from "../lib/series.js";
+import { timezoneOf } from "../lib/params.js";
+import { localTime, MINUTE_MS } from "../lib/time.js";
+
+/* =========================
+   Exposure bands (time-weighted)
+========================= */
+
+// [800, 1000, 1400] -> "<800", "800-1000", "1000-1400", ">=1400"
+const buildBands = edges => edges.map((to, i) => ({
+    label: i ? `${edges[i - 1]}-${to}` : `<${to}`,
+    from: i ? edges[i - 1] : null,
+    to
+})).concat({ label: `>=${edges.at(-1)}`, from: edges.at(-1), to: null });
+
+const bandOf = (bands, v) => bands.find(b => b.to === null || v < b.to);
+
+const newAccumulator = bands => ({
+    ms: 0,
+    weighted: 0,
+    bands: Object.fromEntries(bands.map(b => [b.label, 0])),
+    hours: {},
+    days: {}
+});
+
+// Hours ("YYYY-MM-DDTHH") and days are the region's local wall-clock ones
+const addReading = (acc, bands, p, ms, timezone) => {
+    const v = p.co2ppm;
+    acc.ms += ms;
+    acc.weighted += v * ms;
+    acc.bands[bandOf(bands, v).label] += ms;
+
+    const { date, hour } = localTime(p.ts, timezone);
+    const hourKey = `${date}T${String(Math.floor(hour)).padStart(2, "0")}`;
+    for (const [key, bucket] of [[hourKey, acc.hours], [date, acc.days]]) {
+        const b = bucket[key] ??= { ms: 0, weighted: 0 };
+        b.ms += ms;
+        b.weighted += v * ms;
+    }
+};
+
+const worst = (buckets, topN, keyName) => Object.entries(buckets)
+    .filter(([, b]) => b.ms > 0)
+    .map(([k, b]) => ({ [keyName]: k, mean: b.weighted / b.ms, minutes: b.ms / MINUTE_MS }))
+    .sort((a, b) => b.mean - a.mean || (a[keyName] < b[keyName] ? -1 : 1))
+    .slice(0, topN);
+
+const summarize = (acc, edges, topN) => ({
+    totalMinutes: acc.ms / MINUTE_MS,
+    timeWeightedMean: acc.ms ? acc.weighted / acc.ms : null,
+    bands: Object.fromEntries(Object.entries(acc.bands).map(([label, ms]) => [label, {
+        minutes: ms / MINUTE_MS,
+        share: acc.ms ? ms / acc.ms : 0
+    }])),
+    minutesAbove: Object.fromEntries(edges.map((edge, i) => [edge,
+        Object.values(acc.bands).slice(i + 1).reduce((s, ms) => s + ms, 0) / MINUTE_MS
+    ])),
+    worstHours: worst(acc.hours, topN, "hour"),
+    worstDays: worst(acc.days, topN, "day")
+});
+
+export function exposureAnalytics(points, params) {
+    const edges = params.exposureBands;
+    const bands = buildBands(edges);
+    const maxMs = params.exposureMaxIntervalMinutes * MINUTE_MS;
+    const topN = params.exposureTopN;
+
+    const sensors = [];
+    const byRegion = {};
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const valid = ps.filter(p => Number.isFinite(p.co2ppm));
+        const acc = newAccumulator(bands);
+        withDurations(valid, maxMs).forEach(({ p, ms }) => {
+            const timezone = timezoneOf(params, p.region);
+            addReading(acc, bands, p, ms, timezone);
+            addReading(byRegion[p.region] ??= newAccumulator(bands), bands, p, ms, timezone);
+        });
+        const region = valid[0]?.region;
+        sensors.push({ sensorId, region, timezone: timezoneOf(params, region), ...summarize(acc, edges, topN) });
+    });
+
+    const regions = Object.entries(byRegion).map(([region, acc]) => ({
+        region,
+        timezone: timezoneOf(params, region),
+        ...summarize(acc, edges, topN)
+    }));
+
+    console.log("⏱️  Exposure computed for", sensors.length, "sensors");
+    return {
+        bandEdges: edges,
+        maxIntervalMinutes: params.exposureMaxIntervalMinutes,
+        sensors,
+        regions
+    };
+}
+
+registerModule("exposureAnalytics", exposureAnalytics);
@@ -0,0 +1,163 @@
+import { registerModule } from "../lib/registry.js";
+import { bucketedSeries, interpolateGaps, BUCKETS, PERIODS } from "../lib/series.js";
+import { normalQuantile } from "../lib/hypothesis.js";
+import { HOUR_MS } from "../lib/time.js";
+
+// Smoothing parameters tried when fitting Holt-Winters
+const ALPHAS = [0.1, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0, 0.01, 0.05, 0.1, 0.2];
+const GAMMAS = [0.05, 0.1, 0.2, 0.4];
+
+/* =========================
+   Holt-Winters (additive)
+========================= */
+
+// One-step-ahead pass; returns the final state and the in-sample SSE
+function holtWintersPass(ys, m, alpha, beta, gamma) {
+    const mean = (a, b) => ys.slice(a, b).reduce((s, v) => s + v, 0) / (b - a);
+    let level = mean(0, m);
+    let trend = (mean(m, 2 * m) - level) / m;
+    const season = ys.slice(0, m).map(v => v - level);
+
+    let sse = 0;
+    for (let i = m; i < ys.length; i++) {
+        const s = season[i % m];
+        const err = ys[i] - (level + trend + s);
+        sse += err * err;
+        const prevLevel = level;
+        level = alpha * (ys[i] - s) + (1 - alpha) * (level + trend);
+        trend = beta * (level - prevLevel) + (1 - beta) * trend;
+        season[i % m] = gamma * (ys[i] - level) + (1 - gamma) * s;
+    }
+    return { level, trend, season, sse, n: ys.length - m };
+}
+
+// Grid search on the smoothing parameters, then h-step forecasts with the
+// usual additive-model variance: sigma^2 [1 + sum_j (a + a*b*j + g*[j % m == 0])^2].
+function holtWinters(ys, m, horizon, z) {
+    let best = null;
+    ALPHAS.forEach(alpha => BETAS.forEach(beta => GAMMAS.forEach(gamma => {
+        const fit = holtWintersPass(ys, m, alpha, beta, gamma);
+        if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta, gamma };
+    })));
+
+    const { level, trend, season, alpha, beta, gamma } = best;
+    const sigma2 = best.sse / best.n;
+    const points = [];
+    let acc = 0;
+    for (let h = 1; h <= horizon; h++) {
+        if (h > 1) {
+            const j = h - 1;
+            acc += (alpha + alpha * beta * j + (j % m === 0 ? gamma : 0)) ** 2;
+        }
+        const value = level + h * trend + season[(ys.length + h - 1) % m];
+        const half = z * Math.sqrt(sigma2 * (1 + acc));
+        points.push({ value, low: value - half, high: value + half });
+    }
+    return { parameters: { alpha, beta, gamma }, sigma: Math.sqrt(sigma2), points };
+}
+
+/* =========================
+   Seasonal naive
+========================= */
+
+// Repeats the last season; variance grows with the number of seasons ahead
+function seasonalNaive(ys, m, horizon, z) {
+    let sse = 0;
+    for (let i = m; i < ys.length; i++) sse += (ys[i] - ys[i - m]) ** 2;
+    const sigma = Math.sqrt(sse / (ys.length - m));
+
+    const points = [];
+    for (let h = 1; h <= horizon; h++) {
+        const k = Math.floor((h - 1) / m) + 1;
+        const value = ys[ys.length + h - 1 - k * m];
+        const half = z * sigma * Math.sqrt(k);
+        points.push({ value, low: value - half, high: value + half });
+    }
+    return { sigma, points };
+}
+
+const METHODS = {
+    holtWinters,
+    seasonalNaive
+};
+
+/* =========================
+   Short-term Forecast
+========================= */
+
+const accuracy = (actual, predicted) => {
+    let abs = 0, pct = 0, pctCount = 0;
+    actual.forEach((a, i) => {
+        const err = Math.abs(a - predicted[i].value);
+        abs += err;
+        if (a) {
+            pct += err / Math.abs(a);
+            pctCount++;
+        }
+    });
+    return { mae: abs / actual.length, mape: pctCount ? pct / pctCount * 100 : null };
+};
+
+// First forecast bucket at or above the threshold, by point value and by the
+// upper prediction bound
+function firstCrossing(points, ts, threshold) {
+    const at = i => i === -1 ? null : new Date(ts[i]).toISOString();
+    return {
+        expected: at(points.findIndex(p => p.value >= threshold)),
+        possible: at(points.findIndex(p => p.high >= threshold))
+    };
+}
+
+function forecastSeries(grid, params) {
+    const bucketMs = BUCKETS[params.forecastBucket];
+    const m = PERIODS.daily / bucketMs;
+    const horizon = Math.max(1, Math.round(params.forecastHorizonHours * HOUR_MS / bucketMs));
+    const holdout = Math.max(1, Math.round(params.forecastHoldoutHours * HOUR_MS / bucketMs));
+
+    const base = { buckets: grid.length, last: grid.length ? new Date(grid.at(-1).t).toISOString() : null };
+    if (m < 2) return { ...base, status: "bucket-too-coarse" };
+    if (grid.length < 2 * m + holdout) return { ...base, status: "too-short" };
+
+    const ys = interpolateGaps(grid);
+    const z = normalQuantile(0.5 + params.forecastConfidence / 2);
+    const train = ys.slice(0, -holdout);
+    const actual = ys.slice(-holdout);
+    const futureTs = Array.from({ length: horizon }, (_, h) => grid.at(-1).t + (h + 1) * bucketMs);
+
+    const methods = {};
+    Object.entries(METHODS).forEach(([name, method]) => {
+        const backtest = method(train, m, holdout, z);
+        const { points, ...fit } = method(ys, m, horizon, z);
+        const covered = actual.filter((a, i) => a >= backtest.points[i].low && a <= backtest.points[i].high);
+        methods[name] = {
+            ...fit,
+            backtest: { ...accuracy(actual, backtest.points), intervalCoveragePct: covered.length / holdout * 100 },
+            crossing: firstCrossing(points, futureTs, params.forecastThresholdPpm),
+            forecast: points.map((p, h) => ({ t: new Date(futureTs[h]).toISOString(), ...p }))
+        };
+    });
+
+    const bestMethod = Object.keys(methods)
+        .sort((a, b) => methods[a].backtest.mae - methods[b].backtest.mae)[0];
+    return { ...base, status: "ok", bestMethod, methods };
+}
+
+export function forecastAnalytics(points, params) {
+    const series = bucketedSeries(points, BUCKETS[params.forecastBucket]);
+    const sensors = series.sensors.map(({ grid, ...s }) => ({ ...s, ...forecastSeries(grid, params) }));
+    const regions = series.regions.map(({ grid, ...r }) => ({ ...r, ...forecastSeries(grid, params) }));
+
+    console.log("🔮 Forecast", sensors.length, "sensors and", regions.length, "regions");
+    return {
+        bucket: params.forecastBucket,
+        horizonHours: params.forecastHorizonHours,
+        holdoutHours: params.forecastHoldoutHours,
+        thresholdPpm: params.forecastThresholdPpm,
+        confidence: params.forecastConfidence,
+        sensors,
+        regions
+    };
+}
+
+registerModule("forecastAnalytics", forecastAnalytics);
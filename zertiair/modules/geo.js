@@ -0,0 +1,188 @@
+import { registerModule } from "../lib/registry.js";
+import { writeOutput } from "../lib/output.js";
+import { bySensorSorted } from "../lib/series.js";
+import { toCoordinate } from "../lib/params.js";
+import { percentile, avg, std, minOf, maxOf } from "../lib/stats.js";
+
+const EARTH_KM = 6371;
+const RAD = Math.PI / 180;
+const GEOJSON_FILE = "co2_map.geojson";
+
+const haversineKm = (a, b) => {
+    const dLat = (b.latitude - a.latitude) * RAD;
+    const dLon = (b.longitude - a.longitude) * RAD;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(a.latitude * RAD) * Math.cos(b.latitude * RAD) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_KM * Math.asin(Math.sqrt(h));
+};
+
+/* =========================
+   Sensor locations
+========================= */
+
+// Median of the coordinates carried by the readings, else the sensorLocations
+// metadata (algoCustomData.json "sensors" or the sensorLocations parameter).
+function locate(ps, meta) {
+    const lats = [], lons = [];
+    ps.forEach(p => {
+        const lat = toCoordinate(p.latitude ?? p.lat, 90);
+        const lon = toCoordinate(p.longitude ?? p.lon ?? p.lng, 180);
+        if (lat !== null && lon !== null) {
+            lats.push(lat);
+            lons.push(lon);
+        }
+    });
+    if (lats.length) return { latitude: percentile(lats, 0.5), longitude: percentile(lons, 0.5), source: "readings" };
+    if (meta) return { ...meta, source: "metadata" };
+    return null;
+}
+
+/* =========================
+   Inverse-distance weighting
+========================= */
+
+function idw(target, sites, power) {
+    let num = 0, den = 0;
+    for (const s of sites) {
+        const d = haversineKm(target, s);
+        if (d < 1e-6) return s.mean;
+        const w = 1 / d ** power;
+        num += w * s.mean;
+        den += w;
+    }
+    return num / den;
+}
+
+// Regular lat/lon grid over the sensors' bounding box (padded), one
+// interpolated value per cell centre.
+function interpolateGrid(sites, params) {
+    const lats = sites.map(s => s.latitude), lons = sites.map(s => s.longitude);
+    const padLat = Math.max((Math.max(...lats) - Math.min(...lats)) * params.geoGridPadding, 0.001);
+    const padLon = Math.max((Math.max(...lons) - Math.min(...lons)) * params.geoGridPadding, 0.001);
+    const south = Math.min(...lats) - padLat, north = Math.max(...lats) + padLat;
+    const west = Math.min(...lons) - padLon, east = Math.max(...lons) + padLon;
+    const n = params.geoGridSize;
+    const dLat = (north - south) / n, dLon = (east - west) / n;
+
+    const cells = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const cell = { south: south + i * dLat, west: west + j * dLon };
+            cell.value = idw({ latitude: cell.south + dLat / 2, longitude: cell.west + dLon / 2 }, sites, params.idwPower);
+            cells.push(cell);
+        }
+    }
+    return { bbox: [west, south, east, north], cellDegrees: [dLon, dLat], cells };
+}
+
+/* =========================
+   Hotspots (Getis-Ord Gi*)
+========================= */
+
+// Gi* z-score of each site's mean with binary weights for sites within
+// radiusKm (itself included). |z| > 1.96 is significant at 5%.
+function hotspots(sites, radiusKm) {
+    const n = sites.length;
+    const xs = sites.map(s => s.mean);
+    const mean = avg(xs), sd = std(xs);
+
+    return sites.map(s => {
+        const neighbours = sites.filter(o => haversineKm(s, o) <= radiusKm);
+        const w = neighbours.length;
+        const denom = sd * Math.sqrt((n * w - w * w) / (n - 1));
+        const z = denom ? (neighbours.reduce((sum, o) => sum + o.mean, 0) - mean * w) / denom : 0;
+        return {
+            giZ: z,
+            spot: z > 1.96 ? "hot" : z < -1.96 ? "cold" : "none",
+            neighbours: w - 1
+        };
+    });
+}
+
+/* =========================
+   GeoJSON
+========================= */
+
+const sensorFeature = s => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [s.longitude, s.latitude] },
+    properties: { kind: "sensor", ...s }
+});
+
+const cellFeature = (c, [dLon, dLat]) => ({
+    type: "Feature",
+    geometry: {
+        type: "Polygon",
+        coordinates: [[
+            [c.west, c.south],
+            [c.west + dLon, c.south],
+            [c.west + dLon, c.south + dLat],
+            [c.west, c.south + dLat],
+            [c.west, c.south]
+        ]]
+    },
+    properties: { kind: "idw-cell", co2ppm: c.value }
+});
+
+export function geoAnalytics(points, params) {
+    const sites = [];
+    const unlocated = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const co2 = ps.map(p => p.co2ppm).filter(Number.isFinite);
+        const loc = locate(ps, params.sensorLocations[sensorId]);
+        if (!loc || !co2.length) {
+            unlocated.push(sensorId);
+            return;
+        }
+        sites.push({
+            sensorId,
+            region: ps[0].region,
+            latitude: loc.latitude,
+            longitude: loc.longitude,
+            locationSource: loc.source,
+            count: co2.length,
+            mean: avg(co2),
+            median: percentile(co2, 0.5),
+            p95: percentile(co2, 0.95)
+        });
+    });
+
+    if (!sites.length) {
+        console.log("🗺️  No sensor has coordinates; geospatial analytics skipped");
+        return { sensorsLocated: 0, sensorsWithoutLocation: unlocated };
+    }
+
+    if (sites.length >= 3) {
+        hotspots(sites, params.hotspotRadiusKm).forEach((h, i) => Object.assign(sites[i], h));
+    }
+    const grid = interpolateGrid(sites, params);
+
+    const file = writeOutput(GEOJSON_FILE, {
+        type: "FeatureCollection",
+        bbox: grid.bbox,
+        features: [
+            ...grid.cells.map(c => cellFeature(c, grid.cellDegrees)),
+            ...sites.map(sensorFeature)
+        ]
+    }, params);
+
+    console.log("🗺️  GeoJSON written to", file);
+    return {
+        sensorsLocated: sites.length,
+        sensorsWithoutLocation: unlocated,
+        geojsonFile: GEOJSON_FILE,
+        grid: {
+            bbox: grid.bbox,
+            size: params.geoGridSize,
+            idwPower: params.idwPower,
+            min: minOf(grid.cells.map(c => c.value)),
+            max: maxOf(grid.cells.map(c => c.value))
+        },
+        hotspotRadiusKm: params.hotspotRadiusKm,
+        hotspots: sites.filter(s => s.spot === "hot").map(s => s.sensorId),
+        coldspots: sites.filter(s => s.spot === "cold").map(s => s.sensorId),
+        sensors: sites
+    };
+}
+
+registerModule("geoAnalytics", geoAnalytics);
@@ -0,0 +1,117 @@
+import { registerModule } from "../lib/registry.js";
+import { ranked } from "../lib/output.js";
+import { bySensorSorted, inferInterval, completenessPct } from "../lib/series.js";
+import { sensorInventory } from "./sensor_inventory.js";
+import { driftAnalytics } from "./drift.js";
+
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+/* =========================
+   Health factors (penalty 0 = healthy, 1 = worst)
+========================= */
+
+// Longest stretches of identical consecutive co2ppm values; readings inside
+// a run lasting at least minMs count as stuck.
+function stuckRuns(ps, minMs) {
+    let stuck = 0, longestMs = 0, start = 0;
+    for (let i = 1; i <= ps.length; i++) {
+        if (i < ps.length && ps[i].co2ppm === ps[start].co2ppm) continue;
+        const runMs = ps[i - 1].ts - ps[start].ts;
+        longestMs = Math.max(longestMs, runMs);
+        if (runMs >= minMs) stuck += i - start;
+        start = i;
+    }
+    return { stuckShare: ps.length ? stuck / ps.length : 0, longestRunMinutes: longestMs / 60000 };
+}
+
+// Shares are scaled so that 10% of bad readings already costs the full weight
+const SHARE_AT_FULL_PENALTY = 0.1;
+
+function batteryFactor(inv, params) {
+    if (!inv?.batteryReadings) return { penalty: 0, detail: { status: "no-battery-data" } };
+    const level = inv.currentBattery <= params.batteryLowThreshold ? 1 : 0;
+    const trend = inv.daysToThreshold === null
+        ? 0
+        : clamp01(1 - inv.daysToThreshold / params.healthBatteryHorizonDays);
+    return {
+        penalty: Math.max(level, trend),
+        detail: { currentBattery: inv.currentBattery, daysToThreshold: inv.daysToThreshold }
+    };
+}
+
+function driftFactor(drift, params) {
+    if (!drift || drift.status === "insufficient-data") {
+        return { penalty: 0, detail: { status: "insufficient-data" } };
+    }
+    // Flagging starts at the tolerance (penalty 0.5), twice the tolerance is the worst
+    const worst = Math.max(Math.abs(drift.driftPpm), Math.abs(drift.estimatedOffsetPpm));
+    return {
+        penalty: clamp01(worst / params.driftTolerancePpm / 2),
+        detail: { driftPpm: drift.driftPpm, estimatedOffsetPpm: drift.estimatedOffsetPpm }
+    };
+}
+
+/* =========================
+   Sensor health score
+========================= */
+
+export function sensorHealth(points, params) {
+    const weights = params.healthWeights;
+    const totalWeight = Object.values(weights).reduce((s, w) => s + w, 0) || 1;
+    const inventory = new Map(sensorInventory(points, params).sensors.map(s => [s.sensorId, s]));
+    const drift = new Map(driftAnalytics(points, params).sensors.map(s => [s.sensorId, s]));
+    const [minPpm, maxPpm] = params.plausibleRange;
+
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const co2 = ps.filter(p => Number.isFinite(p.co2ppm));
+        const interval = inferInterval(ps);
+        const completeness = completenessPct(ps, interval);
+        const stuck = stuckRuns(co2, params.stuckMinutes * 60000);
+        const implausible = co2.filter(p => p.co2ppm < minPpm || p.co2ppm > maxPpm).length;
+        const implausibleShare = co2.length ? implausible / co2.length : 0;
+
+        const factors = {
+            battery: batteryFactor(inventory.get(sensorId), params),
+            completeness: {
+                penalty: clamp01(1 - completeness / 100),
+                detail: { completenessPct: completeness, intervalMinutes: interval ? interval / 60000 : null }
+            },
+            stuck: {
+                penalty: clamp01(stuck.stuckShare / SHARE_AT_FULL_PENALTY),
+                detail: stuck
+            },
+            plausibility: {
+                penalty: clamp01(implausibleShare / SHARE_AT_FULL_PENALTY),
+                detail: { implausibleReadings: implausible, implausibleShare }
+            },
+            drift: driftFactor(drift.get(sensorId), params)
+        };
+
+        // Contribution = score points lost to the factor
+        Object.entries(factors).forEach(([name, f]) => {
+            f.weight = (weights[name] ?? 0) / totalWeight * 100;
+            f.contribution = f.penalty * f.weight;
+        });
+        const score = 100 - Object.values(factors).reduce((s, f) => s + f.contribution, 0);
+
+        sensors.push({
+            sensorId,
+            region: ps[0].region,
+            score,
+            status: score >= 80 ? "good" : score >= 50 ? "attention" : "critical",
+            factors
+        });
+    });
+
+    ranked(sensors).sort((a, b) => a.score - b.score);
+    console.log("🩺 Health scored for", sensors.length, "sensors");
+    return {
+        weights,
+        plausibleRange: params.plausibleRange,
+        stuckMinutes: params.stuckMinutes,
+        sensors
+    };
+}
+
+registerModule("sensorHealth", sensorHealth);
@@ -0,0 +1,29 @@
+// Importing a module file registers it; order here is the run order for "all".
+import "./data_quality.js";
+import "./calibration.js";
+import "./sensor_inventory.js";
+import "./regional.js";
+import "./sensor_co2.js";
+import "./temporal.js";
+import "./anomalies.js";
+import "./exposure.js";
+import "./resampling.js";
+import "./drift.js";
+import "./health.js";
+import "./geo.js";
+import "./correlation.js";
+import "./region_comparison.js";
+import "./decomposition.js";
+import "./forecast.js";
+import "./changepoints.js";
+import "./ventilation.js";
+
+// What co2_complete runs without a `modules` parameter: the sections its
+// analytics.json has always had. Newer modules run only when asked for.
+export const DEFAULT_MODULES = [
+    "sensorInventory",
+    "regionalAnalytics",
+    "sensorAnalytics",
+    "temporalAnalytics",
+    "advancedAnomalies"
+];
@@ -0,0 +1,87 @@
+import { registerModule } from "../lib/registry.js";
+import { percentile, avg } from "../lib/stats.js";
+import {
+    welchTTest, mannWhitneyU, kruskalWallis, cohensD,
+    adjustPValues, bootstrapMedianCI, mulberry32
+} from "../lib/hypothesis.js";
+
+// Fewer readings than this cannot give a variance or a meaningful rank test
+const MIN_READINGS = 3;
+
+/* =========================
+   Region Comparison
+========================= */
+
+export function regionComparison(points, params) {
+    const byRegion = {};
+    points.forEach(p => {
+        if (Number.isFinite(p.co2ppm)) (byRegion[p.region] ??= []).push(p.co2ppm);
+    });
+
+    const names = Object.keys(byRegion).sort();
+    const tested = names.filter(r => byRegion[r].length >= MIN_READINGS);
+    const random = mulberry32(params.bootstrapSeed);
+
+    const regions = tested.map(region => {
+        const vals = byRegion[region];
+        return {
+            region,
+            count: vals.length,
+            mean: avg(vals),
+            median: percentile(vals, 0.5),
+            medianCI: params.bootstrapSamples
+                ? bootstrapMedianCI(vals, {
+                    samples: params.bootstrapSamples,
+                    confidence: params.bootstrapConfidence,
+                    random
+                })
+                : null
+        };
+    });
+
+    const pairs = [];
+    for (let i = 0; i < tested.length; i++) {
+        for (let j = i + 1; j < tested.length; j++) {
+            const a = byRegion[tested[i]], b = byRegion[tested[j]];
+            pairs.push({
+                a: tested[i],
+                b: tested[j],
+                meanDiff: avg(a) - avg(b),
+                medianDiff: percentile(a, 0.5) - percentile(b, 0.5),
+                welch: welchTTest(a, b),
+                mannWhitney: mannWhitneyU(a, b),
+                cohensD: cohensD(a, b)
+            });
+        }
+    }
+
+    const alpha = params.comparisonAlpha;
+    const method = params.comparisonCorrection;
+    ["welch", "mannWhitney"].forEach(test => {
+        const adjusted = adjustPValues(pairs.map(p => p[test].p), method);
+        pairs.forEach((p, k) => {
+            p[test].pAdjusted = adjusted[k];
+            p[test].significant = adjusted[k] < alpha;
+        });
+    });
+
+    const overall = tested.length >= 2 ? kruskalWallis(tested.map(r => byRegion[r])) : null;
+    if (overall) overall.significant = overall.p < alpha;
+
+    console.log("⚖️  Regions compared:", tested.length, "regions,", pairs.length, "pairs");
+    return {
+        alpha,
+        correction: method,
+        bootstrap: {
+            samples: params.bootstrapSamples,
+            confidence: params.bootstrapConfidence,
+            seed: params.bootstrapSeed
+        },
+        skippedRegions: names.filter(r => !tested.includes(r)),
+        regions,
+        kruskalWallis: overall,
+        pairs
+    };
+}
+
+registerModule("regionComparison", regionComparison);
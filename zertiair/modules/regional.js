@@ -0,0 +1,39 @@
+import { registerModule } from "../lib/registry.js";
+import { pctLabel } from "../lib/params.js";
+import { perMetric } from "../lib/metrics.js";
+import { percentiles, avg, std, minOf, maxOf } from "../lib/stats.js";
+
+/* =========================
+   Regional CO₂ Analytics
+========================= */
+
+function regionStats(points, params, field) {
+    const [lo, hi] = params.regionPercentiles;
+    const byRegion = {};
+    points.forEach(p => {
+        (byRegion[p.region] ??= []).push(p[field]);
+    });
+
+    const regions = Object.entries(byRegion).map(([r, vals]) => {
+        const [median, pLo, pHi] = percentiles(vals, [0.5, lo, hi]);
+        return {
+            region: r,
+            count: vals.length,
+            mean: avg(vals),
+            median,
+            [`p${pctLabel(lo)}`]: pLo,
+            [`p${pctLabel(hi)}`]: pHi,
+            min: minOf(vals),
+            max: maxOf(vals),
+            std: std(vals)
+        };
+    });
+
+    console.log("🌍 Regions analyzed:", regions.length, `(${field})`);
+    return regions;
+}
+
+export const regionalAnalytics = (points, params) =>
+    perMetric(points, params, (field, ps) => regionStats(ps, params, field));
+
+registerModule("regionalAnalytics", regionalAnalytics);
@@ -0,0 +1,44 @@
+import { registerModule } from "../lib/registry.js";
+import { bySensorSorted, inferInterval, resample, findGaps, completenessPct, BUCKETS } from "../lib/series.js";
+
+/* =========================
+   Resampling & completeness
+========================= */
+
+export function resamplingAnalytics(points, params) {
+    const bucketMs = BUCKETS[params.resampleBucket];
+
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const interval = inferInterval(ps);
+        const gaps = findGaps(ps, interval, params.gapFactor);
+        const series = resample(ps, bucketMs, params.resampleAggregation);
+        const filled = series.filter(b => b.count).length;
+
+        sensors.push({
+            sensorId,
+            region: ps[0].region,
+            readings: ps.length,
+            first: ps[0].ts.toISOString(),
+            last: ps.at(-1).ts.toISOString(),
+            intervalMinutes: interval ? interval / 60000 : null,
+            completenessPct: completenessPct(ps, interval),
+            bucketCoveragePct: series.length ? filled / series.length * 100 : 0,
+            missingReadings: gaps.reduce((s, g) => s + g.missingReadings, 0),
+            gaps,
+            ...(params.includeSeries && {
+                series: series.map(b => ({ t: new Date(b.t).toISOString(), value: b.value, count: b.count }))
+            })
+        });
+    });
+
+    console.log("🧮 Resampled", sensors.length, "sensors to", params.resampleBucket, "buckets");
+    return {
+        bucket: params.resampleBucket,
+        aggregation: params.resampleAggregation,
+        gapFactor: params.gapFactor,
+        sensors
+    };
+}
+
+registerModule("resamplingAnalytics", resamplingAnalytics);
@@ -0,0 +1,40 @@
+import { registerModule } from "../lib/registry.js";
+import { perMetric } from "../lib/metrics.js";
+import { percentile, percentiles, avg, std } from "../lib/stats.js";
+
+/* =========================
+   Sensor CO₂ Analytics
+========================= */
+
+function sensorStats(points, field) {
+    const bySensor = {};
+    points.forEach(p => {
+        (bySensor[p.sensorId] ??= []).push(p[field]);
+    });
+
+    const globalMedian =
+        percentile(points.map(p => p[field]), 0.5);
+
+    const sensors = Object.entries(bySensor).map(([id, vals]) => {
+        const [median, p01, p99] = percentiles(vals, [0.5, 0.01, 0.99]);
+        return {
+            sensorId: id,
+            mean: avg(vals),
+            median,
+            std: std(vals),
+            volatility: std(vals) / (avg(vals) || 1),
+            p01,
+            p99,
+            relativeToGlobal:
+                avg(vals) - globalMedian
+        };
+    });
+
+    console.log("📡 Sensor analytics done", `(${field})`);
+    return sensors;
+}
+
+export const sensorCO2Analytics = (points, params) =>
+    perMetric(points, params, (field, ps) => sensorStats(ps, field));
+
+registerModule("sensorAnalytics", sensorCO2Analytics);
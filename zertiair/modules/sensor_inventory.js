@@ -0,0 +1,120 @@
+import { registerModule } from "../lib/registry.js";
+import { ranked } from "../lib/output.js";
+import { bySensorSorted } from "../lib/series.js";
+import { percentile, avg, minOf, maxOf, linearFit } from "../lib/stats.js";
+import { DAY_MS } from "../lib/time.js";
+
+/* =========================
+   Battery cycles
+========================= */
+
+// Splits time-ordered readings wherever the battery jumps up by more than
+// `jump` points (recharge or replacement).
+function splitCycles(readings, jump) {
+    const cycles = [[]];
+    const recharges = [];
+    readings.forEach((r, i) => {
+        const prev = readings[i - 1];
+        if (prev && r.battery - prev.battery > jump) {
+            recharges.push({ at: r.ts.toISOString(), from: prev.battery, to: r.battery });
+            cycles.push([]);
+        }
+        cycles.at(-1).push(r);
+    });
+    return { cycles, recharges };
+}
+
+// Discharge rate in points per day (positive while draining)
+function fitCycle(cycle) {
+    const t0 = cycle[0].ts.getTime();
+    const fit = linearFit(cycle.map(r => (r.ts - t0) / DAY_MS), cycle.map(r => r.battery));
+    return {
+        start: cycle[0].ts.toISOString(),
+        end: cycle.at(-1).ts.toISOString(),
+        startLevel: cycle[0].battery,
+        endLevel: cycle.at(-1).battery,
+        readings: cycle.length,
+        dischargePerDay: fit ? -fit.slope : null,
+        r2: fit ? fit.r2 : null
+    };
+}
+
+// When the current cycle's trend reaches `threshold`; null when not draining
+function forecastThreshold(cycle, fit, threshold) {
+    const last = cycle.at(-1);
+    if (last.battery <= threshold) {
+        return { thresholdDate: last.ts.toISOString(), daysToThreshold: 0 };
+    }
+    if (!fit.dischargePerDay || fit.dischargePerDay <= 0) {
+        return { thresholdDate: null, daysToThreshold: null };
+    }
+    const days = (last.battery - threshold) / fit.dischargePerDay;
+    return {
+        thresholdDate: new Date(last.ts.getTime() + days * DAY_MS).toISOString(),
+        daysToThreshold: days
+    };
+}
+
+/* =========================
+   Sensor & Battery Analytics
+========================= */
+
+export function sensorInventory(points, params) {
+    const threshold = params.batteryLowThreshold;
+
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, id) => {
+        const readings = ps
+            .filter(p => Number.isFinite(p.sensorBatteryPercentage))
+            .map(p => ({ ts: p.ts, battery: p.sensorBatteryPercentage }));
+        const batteries = readings.map(r => r.battery);
+        const base = { sensorId: id, region: ps[0].region, points: ps.length };
+
+        if (!readings.length) {
+            sensors.push({ ...base, batteryReadings: 0 });
+            return;
+        }
+
+        const { cycles, recharges } = splitCycles(readings, params.batteryRechargeJump);
+        const fits = cycles.map(fitCycle);
+        const current = fits.at(-1);
+
+        sensors.push({
+            ...base,
+            batteryReadings: readings.length,
+            currentBattery: readings.at(-1).battery,
+            avgBattery: avg(batteries),
+            minBattery: minOf(batteries),
+            maxBattery: maxOf(batteries),
+            dischargePerDay: current.dischargePerDay,
+            batteryP01: percentile(batteries, 0.01),
+            batteryP99: percentile(batteries, 0.99),
+            rechargeEvents: recharges,
+            cycles: fits,
+            ...forecastThreshold(cycles.at(-1), current, threshold)
+        });
+    });
+
+    // Soonest to reach the threshold first; sensors with no forecast last
+    const maintenancePriority = ranked(sensors
+        .filter(s => s.batteryReadings)
+        .map(s => ({
+            sensorId: s.sensorId,
+            region: s.region,
+            currentBattery: s.currentBattery,
+            dischargePerDay: s.dischargePerDay,
+            daysToThreshold: s.daysToThreshold,
+            thresholdDate: s.thresholdDate
+        }))
+        .sort((a, b) => (a.daysToThreshold ?? Infinity) - (b.daysToThreshold ?? Infinity)));
+
+    console.log("🔋 Sensor inventory computed:", sensors.length);
+    return {
+        sensorsCount: sensors.length,
+        lowBatteryThreshold: threshold,
+        sensors,
+        maintenancePriority
+    };
+}
+
+registerModule("sensorInventory", sensorInventory);
@@ -0,0 +1,109 @@
+import { registerModule } from "../lib/registry.js";
+import { regionClock } from "../lib/clock.js";
+import { localTime } from "../lib/time.js";
+import { perMetric } from "../lib/metrics.js";
+import { percentile, avg } from "../lib/stats.js";
+
+/* =========================
+   Temporal (Day/Night)
+========================= */
+
+const daySplit = (day, night) => ({
+    day: {
+        mean: avg(day),
+        median: percentile(day, 0.5)
+    },
+    night: {
+        mean: avg(night),
+        median: percentile(night, 0.5)
+    },
+    deltaDayNight:
+        avg(day) - avg(night)
+});
+
+/* =========================
+   Hour-of-day x day-of-week profiles
+========================= */
+
+const newProfile = () => ({ cells: {}, weekday: [], weekend: [] });
+
+const addToProfile = (profile, local, v, weekendDays) => {
+    const hour = Math.floor(local.hour);
+    (profile.cells[`${local.weekday}:${hour}`] ??= []).push(v);
+    (weekendDays.has(local.weekday) ? profile.weekend : profile.weekday).push(v);
+};
+
+const describe = vals => ({
+    count: vals.length,
+    mean: vals.length ? avg(vals) : null,
+    median: percentile(vals, 0.5),
+    p90: percentile(vals, 0.9)
+});
+
+// Heatmap rows: one per (weekday, hour) cell with data, weekday 0 = Sunday
+const summarizeProfile = profile => ({
+    cells: Object.entries(profile.cells)
+        .map(([key, vals]) => {
+            const [weekday, hour] = key.split(":").map(Number);
+            return { weekday, hour, ...describe(vals) };
+        })
+        .sort((a, b) => a.weekday - b.weekday || a.hour - b.hour),
+    weekday: describe(profile.weekday),
+    weekend: describe(profile.weekend),
+    deltaWeekdayWeekend: profile.weekday.length && profile.weekend.length
+        ? avg(profile.weekday) - avg(profile.weekend)
+        : null
+});
+
+function temporalProfiles(points, params, field) {
+    const weekendDays = new Set(params.weekendDays);
+    const clocks = {};
+    const byRegion = {};
+    const bySensor = {};
+    const day = [], night = [];
+    points.forEach(p => {
+        const clock = clocks[p.region] ??= regionClock(params, p.region);
+        const region = byRegion[p.region] ??= { day: [], night: [], profile: newProfile() };
+        const isDay = clock.isDay(p);
+        const v = p[field];
+        (isDay ? day : night).push(v);
+        (isDay ? region.day : region.night).push(v);
+
+        const local = localTime(p.ts, clock.timezone);
+        addToProfile(region.profile, local, v, weekendDays);
+        const sensor = bySensor[p.sensorId] ??= { region: p.region, profile: newProfile() };
+        addToProfile(sensor.profile, local, v, weekendDays);
+    });
+
+    const regions = Object.entries(byRegion).map(([region, r]) => ({
+        region,
+        timezone: clocks[region].timezone,
+        mode: clocks[region].mode,
+        ...daySplit(r.day, r.night)
+    }));
+
+    console.log("🕒 Temporal profiles built for", regions.length, "regions", `(${field})`);
+    return {
+        dayWindow: [params.dayStartHour, params.dayEndHour],
+        ...daySplit(day, night),
+        regions,
+        profiles: {
+            weekendDays: params.weekendDays,
+            regions: Object.entries(byRegion).map(([region, r]) => ({
+                region,
+                timezone: clocks[region].timezone,
+                ...summarizeProfile(r.profile)
+            })),
+            sensors: Object.entries(bySensor).map(([sensorId, s]) => ({
+                sensorId,
+                region: s.region,
+                ...summarizeProfile(s.profile)
+            }))
+        }
+    };
+}
+
+export const temporalAnalytics = (points, params) =>
+    perMetric(points, params, (field, ps) => temporalProfiles(ps, params, field));
+
+registerModule("temporalAnalytics", temporalAnalytics);
@@ -0,0 +1,171 @@
+import { registerModule } from "../lib/registry.js";
+import { bySensorSorted, resample, BUCKETS } from "../lib/series.js";
+import { percentile, maxOf, linearFit } from "../lib/stats.js";
+import { HOUR_MS } from "../lib/time.js";
+
+// CO2 exhaled by one seated adult, m3 per hour (~0.0052 L/s)
+const PERSON_CO2_M3H = 0.0187;
+
+/* =========================
+   Build-up & decay phases
+========================= */
+
+// Runs of consecutive buckets rising (or falling) faster than minSlope ppm/h.
+// Empty buckets end a run.
+function findPhases(grid, bucketMs, params) {
+    const minStep = params.ventilationMinSlope * bucketMs / HOUR_MS;
+    const phases = [];
+    let cur = null;
+    const close = () => {
+        if (!cur) return;
+        const delta = Math.abs(grid[cur.to].value - grid[cur.from].value);
+        const minutes = (grid[cur.to].t - grid[cur.from].t) / 60000;
+        if (minutes >= params.ventilationMinPhaseMinutes && delta >= params.ventilationMinDeltaPpm) {
+            phases.push(cur);
+        }
+        cur = null;
+    };
+
+    for (let i = 1; i < grid.length; i++) {
+        const a = grid[i - 1].value, b = grid[i].value;
+        const type = a === null || b === null ? null
+            : b - a >= minStep ? "buildup"
+                : a - b >= minStep ? "decay" : null;
+        if (cur && cur.type === type) {
+            cur.to = i;
+            continue;
+        }
+        close();
+        if (type) cur = { type, from: i - 1, to: i };
+    }
+    close();
+    return phases;
+}
+
+// Readings inside a phase, bucket edges inclusive of the last bucket
+const readingsIn = (ps, grid, phase, bucketMs) => {
+    const start = grid[phase.from].t, end = grid[phase.to].t + bucketMs;
+    return ps.filter(p => p.ts >= start && p.ts < end && Number.isFinite(p.co2ppm));
+};
+
+/* =========================
+   Fits
+========================= */
+
+// C(t) = Cout + (C0 - Cout) e^(-ACH t): linear in log excess over outdoor
+function fitDecay(readings, outdoor) {
+    const above = readings.filter(p => p.co2ppm > outdoor);
+    if (above.length < 3) return null;
+    const t0 = above[0].ts.getTime();
+    const xs = above.map(p => (p.ts - t0) / HOUR_MS);
+    const fit = linearFit(xs, above.map(p => Math.log(p.co2ppm - outdoor)));
+    if (!fit || fit.slope >= 0) return null;
+
+    const ach = -fit.slope;
+    const predicted = xs.map(x => outdoor + Math.exp(fit.intercept - ach * x));
+    const rmse = Math.sqrt(above.reduce((s, p, i) => s + (p.co2ppm - predicted[i]) ** 2, 0) / above.length);
+    return { ach, r2: fit.r2, rmsePpm: rmse, readings: above.length };
+}
+
+// Mass balance dC/dt = G - ACH (C - Cout), so the indoor source G (ppm/h) is
+// the observed slope plus what ventilation removed meanwhile.
+function fitBuildup(readings, outdoor, ach) {
+    const t0 = readings[0].ts.getTime();
+    const fit = linearFit(readings.map(p => (p.ts - t0) / HOUR_MS), readings.map(p => p.co2ppm));
+    if (!fit) return null;
+    const excess = readings.reduce((s, p) => s + p.co2ppm - outdoor, 0) / readings.length;
+    return {
+        slopePpmPerHour: fit.slope,
+        r2: fit.r2,
+        emissionPpmPerHour: ach === null ? null : fit.slope + ach * Math.max(0, excess)
+    };
+}
+
+const occupantsFor = (emission, volume) =>
+    emission === null || !volume ? null : emission * 1e-6 * volume / PERSON_CO2_M3H;
+
+/* =========================
+   Occupancy & Ventilation
+========================= */
+
+export function ventilationAnalytics(points, params) {
+    const bucketMs = BUCKETS[params.ventilationBucket];
+    const outdoor = params.ventilationOutdoorPpm ?? params.driftReferencePpm;
+    const iso = t => new Date(t).toISOString();
+
+    const sensors = [];
+    bySensorSorted(points).forEach((ps, sensorId) => {
+        const grid = resample(ps, bucketMs);
+        const phases = findPhases(grid, bucketMs, params);
+        const volume = params.roomVolumes[sensorId] ?? null;
+
+        const decays = phases.filter(ph => ph.type === "decay").map(ph => {
+            const readings = readingsIn(ps, grid, ph, bucketMs);
+            return {
+                start: iso(grid[ph.from].t),
+                end: iso(grid[ph.to].t + bucketMs),
+                fromPpm: grid[ph.from].value,
+                toPpm: grid[ph.to].value,
+                fit: fitDecay(readings, outdoor)
+            };
+        });
+        decays.forEach(d => { d.reliable = !!d.fit && d.fit.r2 >= params.ventilationMinR2; });
+
+        const achs = decays.filter(d => d.reliable).map(d => d.fit.ach);
+        const ach = achs.length ? percentile(achs, 0.5) : null;
+
+        // Occupied from the start of a build-up until the decay that follows
+        // it while the level holds near the top in between, otherwise until
+        // the build-up ends
+        const occupied = [];
+        phases.forEach((ph, k) => {
+            if (ph.type !== "buildup") return;
+            const next = phases[k + 1];
+            const floor = grid[ph.to].value - params.ventilationMinDeltaPpm;
+            const held = next && next.type === "decay" &&
+                grid.slice(ph.to, next.from + 1).every(b => b.value !== null && b.value >= floor);
+            const endIdx = held ? next.from : ph.to;
+            const readings = readingsIn(ps, grid, { from: ph.from, to: ph.to }, bucketMs);
+            const buildup = fitBuildup(readings, outdoor, ach);
+            occupied.push({
+                start: iso(grid[ph.from].t),
+                end: iso(grid[endIdx].t + bucketMs),
+                durationMinutes: (grid[endIdx].t + bucketMs - grid[ph.from].t) / 60000,
+                peakPpm: maxOf(grid.slice(ph.from, endIdx + 1).map(b => b.value)),
+                ...buildup,
+                estimatedOccupants: occupantsFor(buildup?.emissionPpmPerHour ?? null, volume)
+            });
+        });
+
+        const spanMs = grid.length * bucketMs;
+        const occupiedMinutes = occupied.reduce((s, o) => s + o.durationMinutes, 0);
+        sensors.push({
+            sensorId,
+            region: ps[0].region,
+            roomVolumeM3: volume,
+            airChangesPerHour: ach,
+            achP25: achs.length ? percentile(achs, 0.25) : null,
+            achP75: achs.length ? percentile(achs, 0.75) : null,
+            // Outdoor air per hour, only with a known room volume
+            ventilationM3PerHour: ach !== null && volume ? ach * volume : null,
+            decayPhases: decays.length,
+            reliableDecays: achs.length,
+            buildupPhases: occupied.length,
+            occupiedHours: occupiedMinutes / 60,
+            occupiedSharePct: spanMs ? occupiedMinutes * 60000 / spanMs * 100 : 0,
+            decays,
+            occupied
+        });
+    });
+
+    console.log("🌬️  Ventilation estimated for", sensors.filter(s => s.airChangesPerHour !== null).length,
+        "of", sensors.length, "sensors");
+    return {
+        bucket: params.ventilationBucket,
+        outdoorPpm: outdoor,
+        minR2: params.ventilationMinR2,
+        sensors
+    };
+}
+
+registerModule("ventilationAnalytics", ventilationAnalytics);
@@ -0,0 +1,3 @@
+import { runStreaming } from "./lib/runner.js";
+
+runStreaming();
@@ -0,0 +1,4 @@
+import { runPreset } from "./lib/runner.js";
+import "./modules/data_quality.js";
+
+runPreset("dataQuality");